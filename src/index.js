@@ -4,12 +4,48 @@ import fs from 'fs';
 import path from 'path';
 import * as line from '@line/bot-sdk';
 import { initDB } from './lib/db.js';
-import { handleEventFactory } from './lib/line.js';
+import { decideShop, handleEventFactory } from './lib/line.js';
+import { safePush } from './lib/push.js';
 import { verifyLiffIdToken } from './lib/auth.js';
 import { subscribe, publish } from './lib/sse.js';
+import { createScheduler } from './lib/scheduler.js';
+import {
+  finishSettlementIfPaid,
+  registerJobHandlers,
+  scheduleEventReminders,
+  scheduleEventSummary,
+  schedulePaymentReminders,
+  schedulePlacesCachePurge,
+  schedulePollDeadline,
+  schedulePollReminders,
+  scheduleRecurringRule,
+} from './lib/jobs.js';
+import { sanitizeGroupSettingsPatch } from './lib/settings.js';
+import { getAllMemberIds, getHumanMemberCount } from './lib/members.js';
+import { formatPollTitle } from './lib/commands.js';
+import { buildPollIcs, buildGroupCalendarIcs } from './lib/ics.js';
+import { pollFormUrl, calendarFeedUrl } from './lib/flex.js';
+import {
+  MAX_CALENDAR_BYTES,
+  calendarWindow,
+  describeCalendarUrl,
+  fetchCalendarText,
+  normalizeCalendarUrl,
+  parseBusyBlocks,
+  suggestChoices,
+} from './lib/availability.js';
+import { describeShare } from './lib/warikan.js';
+import { resolveMembers } from './lib/decision.js';
+import { nowJst } from './lib/time.js';
+import { PLACES_CACHE_TTL_MS, getPlacesCacheCounters, resolveHomeStation, setPlacesCache } from './lib/shop_suggester.js';
 
 const PORT = process.env.PORT || 3000;
 const ADMIN_SECRET = process.env.ADMIN_SECRET || '';
+// Recorded as the actor of changes made through the admin API
+const ADMIN_ACTOR = { userId: null, name: '管理者' };
+// Members' calendar subscription URLs are fetched by the server only when explicitly enabled
+const ALLOW_CALENDAR_URL_FETCH = process.env.ALLOW_CALENDAR_URL_FETCH === '1';
+const CALENDAR_REFRESH_MS = 6 * 60 * 60 * 1000;
 
 const config = {
   channelAccessToken: process.env.LINE_CHANNEL_ACCESS_TOKEN,
@@ -27,11 +63,38 @@ app.get('/health', (_req, res) => res.send('ok'));
 
 // Initialize DB
 const db = initDB();
+// Shop searches reuse Google responses stored in the database; expired ones are dropped at boot and then daily
+setPlacesCache(db);
+db.purgePlacesCache({ expiredOnly: true });
 
 // LINE client and webhook
 const client = new line.Client({ channelAccessToken: config.channelAccessToken });
 const runtime = { botUserId: process.env.BOT_USER_ID || '' };
 const promptedClosePolls = new Set();
+
+// Background jobs (deadlines etc.)
+const scheduler = createScheduler({ db });
+registerJobHandlers({ scheduler, client, db, runtime });
+// Polls whose deadline was set before the scheduler existed have no job yet
+for (const p of db.listOpenPollsWithDeadline()) {
+  if (!db.getPendingJob(`deadline:${p.id}`)) {
+    schedulePollDeadline(scheduler, p.id, Number(p.deadline));
+    schedulePollReminders(scheduler, db, p.id);
+  }
+}
+schedulePlacesCachePurge(scheduler);
+for (const rule of db.listRecurringRules()) {
+  if (!db.getPendingJob(`recurring:${rule.id}`)) scheduleRecurringRule(scheduler, rule);
+}
+// Payment reminders of unfinished bill splits (re-planning only adds the ones still in the future)
+for (const settlement of db.listOpenSettlements()) {
+  schedulePaymentReminders(scheduler, db, settlement);
+}
+// Day-before / same-day reminders of upcoming events (only the ones still in the future are planned)
+for (const p of db.listUpcomingEventPolls(nowJst().format('YYYY-MM-DD'))) {
+  scheduleEventReminders(scheduler, db, p.id);
+}
+scheduler.start();
 // Try to fetch bot's userId automatically (so BOT_USER_ID env is optional)
 (async () => {
   try {
@@ -46,7 +109,7 @@ const promptedClosePolls = new Set();
 })();
 app.post('/webhook', line.middleware(config), async (req, res) => {
   try {
-    const handleEvent = handleEventFactory({ client, db, botUserId: runtime.botUserId });
+    const handleEvent = handleEventFactory({ client, db, scheduler, botUserId: runtime.botUserId });
     await Promise.all((req.body.events || []).map(handleEvent));
     res.status(200).end();
   } catch (err) {
@@ -120,7 +183,24 @@ app.get('/api/polls/:pollId', async (req, res) => {
     if (!data) return res.status(404).json({ error: 'not_found' });
     const tally3 = db.getPollTally3(pollId);
     const userChoices = db.getUserChoices3({ pollId, userId: uid });
-    res.json({ poll: data.poll, options: data.options, tally: tally3, userChoices, user: { id: uid, name: profileName } });
+    const calendar = db.getUserCalendar(uid);
+    if (calendar) refreshStaleCalendar(calendar);
+    res.json({
+      poll: data.poll,
+      options: data.options,
+      tally: tally3,
+      userChoices,
+      user: { id: uid, name: profileName },
+      requiredMembers: requiredMembersWithChoices(pollId),
+      canEditRequired: !!data.poll.created_by && data.poll.created_by === uid,
+      voters: db.getPollVoters(pollId).map((v) => ({ userId: v.user_id, name: v.user_name })),
+      calendar: calendarSummary(calendar),
+      // Pre-filled answers from the member's own calendar; the member confirms them by saving
+      suggestions: calendar && data.poll.status === 'open' ? suggestionsFor(uid, calendar, data.options) : {},
+      rsvp: data.poll.status === 'closed' ? rsvpView(pollId, uid) : null,
+      shopVote: shopVoteView(data.poll, uid),
+      settlement: settlementView(data.poll, db.getLatestSettlement(pollId), uid),
+    });
   } catch (e) {
     console.error('GET /api/polls error', e);
     res.status(500).json({ error: 'server_error' });
@@ -139,14 +219,16 @@ app.post('/api/polls/:pollId/votes3', async (req, res) => {
     }
     const uid = login.sub;
     const name = login.name || null;
-    const { poll } = db.getPoll(pollId) || {};
+    const { poll, options } = db.getPoll(pollId) || {};
     if (!poll) return res.status(404).json({ error: 'not_found' });
     if (poll.status !== 'open') return res.status(403).json({ error: 'poll_closed' });
     if (poll.deadline && Date.now() > Number(poll.deadline)) return res.status(403).json({ error: 'deadline_passed' });
-    const choices = Array.isArray(req.body?.choices) ? req.body.choices : [];
+    // A LIFF page opened before the options were edited may still send removed option ids
+    const optionIds = new Set(options.map((o) => o.id));
+    const choices = (Array.isArray(req.body?.choices) ? req.body.choices : []).filter((c) => optionIds.has(c?.optionId));
     db.upsertVotes3({ pollId, userId: uid, userName: name, choices });
     const tally3 = db.getPollTally3(pollId);
-    publish(pollId, { type: 'tally', tally: tally3 });
+    publish(pollId, { type: 'tally', tally: tally3, requiredMembers: requiredMembersWithChoices(pollId) });
     // Check completion and possibly prompt to close
     checkAndPromptClose({ pollId }).catch((e) => console.warn('checkAndPromptClose error', e.message));
     res.json({ ok: true, tally: tally3 });
@@ -156,6 +238,264 @@ app.post('/api/polls/:pollId/votes3', async (req, res) => {
   }
 });
 
+// Poll creator designates required members (主役/必須参加者) from the LIFF form
+app.put('/api/polls/:pollId/required-members', async (req, res) => {
+  try {
+    const pollId = req.params.pollId;
+    const idToken = req.headers['authorization']?.replace(/^Bearer\s+/i, '');
+    let login = null;
+    try {
+      login = await verifyLiffIdToken(idToken);
+    } catch (e) {
+      return res.status(401).json({ error: 'unauthorized', detail: e.message });
+    }
+    const { poll } = db.getPoll(pollId) || {};
+    if (!poll) return res.status(404).json({ error: 'not_found' });
+    if (!poll.created_by || poll.created_by !== login.sub) return res.status(403).json({ error: 'not_poll_creator' });
+    if (poll.status === 'closed') return res.status(403).json({ error: 'poll_closed' });
+    const raw = Array.isArray(req.body?.members) ? req.body.members : [];
+    const members = raw
+      .map((m) => ({
+        userId: typeof m?.userId === 'string' && m.userId.trim() ? m.userId.trim() : null,
+        name: typeof m?.name === 'string' && m.name.trim() ? m.name.trim().slice(0, 40) : null,
+      }))
+      .filter((m) => m.userId || m.name)
+      .slice(0, 20);
+    db.setPollRequiredMembers(pollId, members, { userId: login.sub, name: login.name || null });
+    const requiredMembers = requiredMembersWithChoices(pollId);
+    publish(pollId, { type: 'required', requiredMembers });
+    res.json({ ok: true, requiredMembers });
+  } catch (e) {
+    console.error('PUT required-members error', e);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// 参加/不参加 for the finalized date (same as the buttons on the confirmation message)
+app.post('/api/polls/:pollId/rsvp', async (req, res) => {
+  try {
+    const pollId = req.params.pollId;
+    const idToken = req.headers['authorization']?.replace(/^Bearer\s+/i, '');
+    let login = null;
+    try {
+      login = await verifyLiffIdToken(idToken);
+    } catch (e) {
+      return res.status(401).json({ error: 'unauthorized', detail: e.message });
+    }
+    const { poll } = db.getPoll(pollId) || {};
+    if (!poll) return res.status(404).json({ error: 'not_found' });
+    if (poll.status !== 'closed') return res.status(403).json({ error: 'not_finalized' });
+    if (typeof req.body?.attending !== 'boolean') return res.status(400).json({ error: 'invalid_attending' });
+    if (db.setRsvp({ pollId, userId: login.sub, userName: login.name || null, attending: req.body.attending })) {
+      scheduleEventSummary(scheduler, pollId);
+    }
+    publish(pollId, { type: 'rsvp' });
+    res.json({ ok: true, rsvp: rsvpView(pollId, login.sub) });
+  } catch (e) {
+    console.error('POST rsvp error', e);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// Vote for one of the recommended shops (same as "ここに投票" on the carousel)
+app.post('/api/polls/:pollId/shop-vote', async (req, res) => {
+  try {
+    const pollId = req.params.pollId;
+    const idToken = req.headers['authorization']?.replace(/^Bearer\s+/i, '');
+    let login = null;
+    try {
+      login = await verifyLiffIdToken(idToken);
+    } catch (e) {
+      return res.status(401).json({ error: 'unauthorized', detail: e.message });
+    }
+    const { poll } = db.getPoll(pollId) || {};
+    if (!poll) return res.status(404).json({ error: 'not_found' });
+    if (poll.status !== 'closed') return res.status(403).json({ error: 'not_finalized' });
+    const vote = db.getShopVote(pollId);
+    if (!vote) return res.status(404).json({ error: 'no_shop_vote' });
+    if (vote.closedAt) return res.status(403).json({ error: 'shop_vote_closed' });
+    const candidate = vote.candidates.find((c) => c.id === req.body?.candidateId);
+    if (!candidate) return res.status(400).json({ error: 'invalid_candidate' });
+    db.setShopVote({ pollId, candidateId: candidate.id, userId: login.sub, userName: login.name || null });
+    publish(pollId, { type: 'shop_vote' });
+    res.json({ ok: true, shopVote: shopVoteView(poll, login.sub) });
+  } catch (e) {
+    console.error('POST shop-vote error', e);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// The poll's creator closes the shop vote; the chosen shop becomes the venue and the group is told
+app.post('/api/polls/:pollId/shop-vote/decide', async (req, res) => {
+  try {
+    const pollId = req.params.pollId;
+    const idToken = req.headers['authorization']?.replace(/^Bearer\s+/i, '');
+    let login = null;
+    try {
+      login = await verifyLiffIdToken(idToken);
+    } catch (e) {
+      return res.status(401).json({ error: 'unauthorized', detail: e.message });
+    }
+    const { poll } = db.getPoll(pollId) || {};
+    if (!poll) return res.status(404).json({ error: 'not_found' });
+    if (poll.created_by && poll.created_by !== login.sub) return res.status(403).json({ error: 'not_poll_creator' });
+    if (poll.status !== 'closed') return res.status(403).json({ error: 'not_finalized' });
+    const vote = db.getShopVote(pollId);
+    if (!vote) return res.status(404).json({ error: 'no_shop_vote' });
+    const candidate = vote.candidates.find((c) => c.id === req.body?.candidateId);
+    if (!candidate) return res.status(400).json({ error: 'invalid_candidate' });
+    const messages = decideShop({ db, scheduler, poll, candidate, actor: { userId: login.sub, name: login.name || null } });
+    if (!messages) return res.status(403).json({ error: 'shop_vote_closed' });
+    safePush(client, poll.group_id, messages);
+    res.json({ ok: true, shopVote: shopVoteView(db.getPoll(pollId).poll, login.sub) });
+  } catch (e) {
+    console.error('POST shop-vote/decide error', e);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// Payment ledger of the poll's bill split: members mark their own share paid; the organizer
+// (who registered the split, or the poll creator) can mark anyone paid or unpaid
+app.post('/api/polls/:pollId/settlement/paid', async (req, res) => {
+  try {
+    const pollId = req.params.pollId;
+    const idToken = req.headers['authorization']?.replace(/^Bearer\s+/i, '');
+    let login = null;
+    try {
+      login = await verifyLiffIdToken(idToken);
+    } catch (e) {
+      return res.status(401).json({ error: 'unauthorized', detail: e.message });
+    }
+    const { poll } = db.getPoll(pollId) || {};
+    if (!poll) return res.status(404).json({ error: 'not_found' });
+    const settlement = db.getLatestSettlement(pollId);
+    if (!settlement) return res.status(404).json({ error: 'no_settlement' });
+    const row = settlement.rows.find((r) => r.position === Number(req.body?.position));
+    if (!row) return res.status(400).json({ error: 'invalid_position' });
+    const view = settlementView(poll, settlement, login.sub);
+    if (!view.canManage && row.userId !== login.sub) return res.status(403).json({ error: 'not_settlement_organizer' });
+    const paid = req.body?.paid !== false;
+    if (db.setSettlementPaid(settlement.id, row.position, paid, { userId: login.sub, name: login.name || null })) {
+      scheduleEventSummary(scheduler, pollId);
+    }
+    publish(pollId, { type: 'settlement' });
+    if (paid) {
+      finishSettlementIfPaid({ client, db, scheduler, settlementId: settlement.id }).catch((e) =>
+        console.warn('finishSettlementIfPaid error', e.message)
+      );
+    } else {
+      schedulePaymentReminders(scheduler, db, db.getSettlement(settlement.id));
+    }
+    res.json({ ok: true, settlement: settlementView(poll, db.getSettlement(settlement.id), login.sub) });
+  } catch (e) {
+    console.error('POST settlement/paid error', e);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// A member's own calendar used to pre-fill answers: upload/paste an .ics (text/calendar body)
+// or register a subscription URL ({ url }, only when ALLOW_CALENDAR_URL_FETCH=1)
+app.get('/api/me/calendar', async (req, res) => {
+  let login = null;
+  try {
+    login = await verifyLiffIdToken(req.headers['authorization']?.replace(/^Bearer\s+/i, ''));
+  } catch (e) {
+    return res.status(401).json({ error: 'unauthorized', detail: e.message });
+  }
+  res.json({ calendar: calendarSummary(db.getUserCalendar(login.sub)), urlFetchAllowed: ALLOW_CALENDAR_URL_FETCH });
+});
+
+app.put(
+  '/api/me/calendar',
+  express.text({ type: ['text/calendar', 'text/plain'], limit: MAX_CALENDAR_BYTES }),
+  async (req, res) => {
+    let login = null;
+    try {
+      login = await verifyLiffIdToken(req.headers['authorization']?.replace(/^Bearer\s+/i, ''));
+    } catch (e) {
+      return res.status(401).json({ error: 'unauthorized', detail: e.message });
+    }
+    try {
+      if (typeof req.body === 'string') {
+        if (!/BEGIN:VCALENDAR/i.test(req.body)) return res.status(400).json({ error: 'invalid_calendar' });
+        importCalendar(login.sub, req.body, { source: 'upload' });
+      } else {
+        const url = normalizeCalendarUrl(req.body?.url);
+        if (!ALLOW_CALENDAR_URL_FETCH) return res.status(403).json({ error: 'url_fetch_disabled' });
+        if (!url) return res.status(400).json({ error: 'invalid_url' });
+        let text;
+        try {
+          text = await fetchCalendarText(url.toString());
+        } catch (e) {
+          return res.status(400).json({ error: 'fetch_failed', detail: e.message });
+        }
+        importCalendar(login.sub, text, { source: 'url', url: url.toString() });
+      }
+      res.json({ ok: true, calendar: calendarSummary(db.getUserCalendar(login.sub)) });
+    } catch (e) {
+      console.error('PUT /api/me/calendar error', e);
+      res.status(500).json({ error: 'server_error' });
+    }
+  }
+);
+
+app.delete('/api/me/calendar', async (req, res) => {
+  let login = null;
+  try {
+    login = await verifyLiffIdToken(req.headers['authorization']?.replace(/^Bearer\s+/i, ''));
+  } catch (e) {
+    return res.status(401).json({ error: 'unauthorized', detail: e.message });
+  }
+  db.deleteUserCalendar(login.sub);
+  res.json({ ok: true });
+});
+
+// A member's nearest station ({ station: '渋谷' }), used to find a fair meeting point for shop searches
+function stationSummary(st) {
+  return st ? { name: st.name, address: st.address, updatedAt: st.updated_at } : null;
+}
+
+app.get('/api/me/station', async (req, res) => {
+  let login = null;
+  try {
+    login = await verifyLiffIdToken(req.headers['authorization']?.replace(/^Bearer\s+/i, ''));
+  } catch (e) {
+    return res.status(401).json({ error: 'unauthorized', detail: e.message });
+  }
+  res.json({ station: stationSummary(db.getMemberStation(login.sub)) });
+});
+
+app.put('/api/me/station', async (req, res) => {
+  let login = null;
+  try {
+    login = await verifyLiffIdToken(req.headers['authorization']?.replace(/^Bearer\s+/i, ''));
+  } catch (e) {
+    return res.status(401).json({ error: 'unauthorized', detail: e.message });
+  }
+  const text = typeof req.body?.station === 'string' ? req.body.station.trim().slice(0, 40) : '';
+  if (!text) return res.status(400).json({ error: 'invalid_station' });
+  try {
+    const station = await resolveHomeStation(text);
+    if (!station) return res.status(400).json({ error: 'station_not_found' });
+    db.setMemberStation(login.sub, login.name || null, station);
+    res.json({ ok: true, station: stationSummary(db.getMemberStation(login.sub)) });
+  } catch (e) {
+    console.error('PUT /api/me/station error', e);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+app.delete('/api/me/station', async (req, res) => {
+  let login = null;
+  try {
+    login = await verifyLiffIdToken(req.headers['authorization']?.replace(/^Bearer\s+/i, ''));
+  } catch (e) {
+    return res.status(401).json({ error: 'unauthorized', detail: e.message });
+  }
+  db.deleteMemberStation(login.sub);
+  res.json({ ok: true });
+});
+
 app.get('/api/polls/:pollId/stream', (req, res) => {
   res.writeHead(200, {
     'Content-Type': 'text/event-stream',
@@ -183,7 +523,10 @@ app.post('/api/polls/:pollId/deadline', express.json(), (req, res) => {
     }
     const data = db.getPoll(pollId);
     if (!data) return res.status(404).json({ error: 'not_found' });
-    db.setPollDeadline(pollId, ts);
+    db.setPollDeadline(pollId, ts, ADMIN_ACTOR);
+    schedulePollDeadline(scheduler, pollId, ts);
+    schedulePollReminders(scheduler, db, pollId);
+    publish(pollId, { type: 'deadline', deadline: ts });
     res.json({ ok: true, deadline: ts });
   } catch (e) {
     console.error('deadline set error', e);
@@ -191,39 +534,254 @@ app.post('/api/polls/:pollId/deadline', express.json(), (req, res) => {
   }
 });
 
-app.listen(PORT, () => {
-  console.log(`Server listening on http://localhost:${PORT}`);
+// Calendar export of a finalized poll. Unauthenticated so calendar apps and the OS browser can open it;
+// poll IDs are random UUIDs.
+app.get('/api/polls/:pollId/event.ics', (req, res) => {
+  try {
+    const data = db.getPoll(req.params.pollId);
+    if (!data) return res.status(404).send('not found');
+    const { poll } = data;
+    if (poll.status !== 'closed' || !poll.finalized_date) return res.status(404).send('not finalized');
+    const ics = buildPollIcs(poll, { formUrl: pollFormUrl(poll.id), sequence: db.countPollEvents(poll.id, 'finalized') });
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="event-${poll.seq || 'kansuke'}.ics"`);
+    res.send(ics);
+  } catch (e) {
+    console.error('GET event.ics error', e);
+    res.status(500).send('server error');
+  }
 });
 
-// Helpers
-async function getAllMemberIds(groupOrRoomId) {
-  // Try group first, then room. SDK v9 returns string[] directly (pagination handled internally).
-  try {
-    const ids = await client.getGroupMemberIds(groupOrRoomId);
-    if (Array.isArray(ids) && ids.length) return ids;
-  } catch (_) {}
+// Per-group calendar subscription: every finalized event of the group. The secret token is the only credential.
+app.get('/api/calendars/:token.ics', (req, res) => {
   try {
-    const ids = await client.getRoomMemberIds(groupOrRoomId);
-    if (Array.isArray(ids) && ids.length) return ids;
-  } catch (_) {}
-  return [];
-}
+    const groupId = db.getGroupIdByCalendarToken(req.params.token);
+    if (!groupId) return res.status(404).send('not found');
+    const entries = db.listFinalizedPollsForGroup(groupId).map((poll) => ({
+      poll,
+      formUrl: pollFormUrl(poll.id),
+      sequence: db.countPollEvents(poll.id, 'finalized'),
+    }));
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'no-cache');
+    res.send(buildGroupCalendarIcs(entries));
+  } catch (e) {
+    console.error('GET calendar feed error', e);
+    res.status(500).send('server error');
+  }
+});
 
-async function getHumanMemberCount(groupOrRoomId) {
-  // Prefer official count API which includes users who haven't friended the bot and excludes the bot automatically.
+// Poll history (poll_events), oldest first: admins with ADMIN_SECRET, or members through the LIFF form.
+// Page with ?after=<last event id>&limit=<n>.
+app.get('/api/polls/:pollId/events', async (req, res) => {
   try {
-    const res = await client.getGroupMembersCount(groupOrRoomId);
-    if (res && typeof res.count === 'number') {
-      return res.count;
+    const pollId = req.params.pollId;
+    const token = req.headers['authorization']?.replace(/^Bearer\s+/i, '') || '';
+    if (!ADMIN_SECRET || token !== ADMIN_SECRET) {
+      try {
+        await verifyLiffIdToken(token);
+      } catch (e) {
+        return res.status(401).json({ error: 'unauthorized', detail: e.message });
+      }
     }
-  } catch (_) {}
+    if (!db.getPoll(pollId)) return res.status(404).json({ error: 'not_found' });
+    const after = Number(req.query.after) || 0;
+    const limit = Math.min(Math.max(Number(req.query.limit) || 200, 1), 500);
+    const events = db.getPollEvents(pollId, { after, limit });
+    res.json({
+      events: events.map((e) => ({
+        id: e.id,
+        type: e.type,
+        actor: e.actor_id || e.actor_name ? { userId: e.actor_id, name: e.actor_name } : null,
+        data: e.data,
+        createdAt: e.created_at,
+      })),
+      next: events.length === limit ? events[events.length - 1].id : null,
+    });
+  } catch (e) {
+    console.error('GET poll events error', e);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// Admin: per-group settings (reminder cadence etc.)
+app.get('/api/groups/:groupId/settings', (req, res) => {
+  const auth = req.headers['authorization']?.replace(/^Bearer\s+/i, '') || '';
+  if (!ADMIN_SECRET || auth !== ADMIN_SECRET) return res.status(401).json({ error: 'unauthorized' });
+  res.json({ settings: db.getGroupSettings(req.params.groupId) });
+});
+
+app.put('/api/groups/:groupId/settings', (req, res) => {
   try {
-    const res = await client.getRoomMembersCount(groupOrRoomId);
-    if (res && typeof res.count === 'number') {
-      return res.count;
-    }
-  } catch (_) {}
-  return null;
+    const auth = req.headers['authorization']?.replace(/^Bearer\s+/i, '') || '';
+    if (!ADMIN_SECRET || auth !== ADMIN_SECRET) return res.status(401).json({ error: 'unauthorized' });
+    const groupId = req.params.groupId;
+    const { patch, errors } = sanitizeGroupSettingsPatch(req.body);
+    if (errors.length) return res.status(400).json({ error: 'invalid_settings', fields: errors });
+    const settings = db.updateGroupSettings(groupId, patch);
+    // Cadence may have changed: re-plan reminders of the group's open polls and upcoming events
+    for (const p of db.listOpenPollsForGroup(groupId)) schedulePollReminders(scheduler, db, p.id);
+    for (const p of db.listFinalizedPollsForGroup(groupId)) scheduleEventReminders(scheduler, db, p.id);
+    res.json({ ok: true, settings });
+  } catch (e) {
+    console.error('group settings error', e);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// Admin: the group's calendar subscription URL, and re-issuing it (the old URL stops working)
+app.get('/api/groups/:groupId/calendar', (req, res) => {
+  const auth = req.headers['authorization']?.replace(/^Bearer\s+/i, '') || '';
+  if (!ADMIN_SECRET || auth !== ADMIN_SECRET) return res.status(401).json({ error: 'unauthorized' });
+  const token = db.getCalendarToken(req.params.groupId);
+  res.json({ token, url: calendarFeedUrl(token) });
+});
+
+app.post('/api/groups/:groupId/calendar/rotate', (req, res) => {
+  const auth = req.headers['authorization']?.replace(/^Bearer\s+/i, '') || '';
+  if (!ADMIN_SECRET || auth !== ADMIN_SECRET) return res.status(401).json({ error: 'unauthorized' });
+  const token = db.rotateCalendarToken(req.params.groupId);
+  res.json({ ok: true, token, url: calendarFeedUrl(token) });
+});
+
+// Admin: Google Places / Geocoding response cache. Stored entries per kind, and hits/misses since the server started
+app.get('/api/admin/places-cache', (req, res) => {
+  const auth = req.headers['authorization']?.replace(/^Bearer\s+/i, '') || '';
+  if (!ADMIN_SECRET || auth !== ADMIN_SECRET) return res.status(401).json({ error: 'unauthorized' });
+  const ttlHours = Object.fromEntries(Object.entries(PLACES_CACHE_TTL_MS).map(([kind, ms]) => [kind, ms / 3600000]));
+  res.json({ ttlHours, requests: getPlacesCacheCounters(), entries: db.getPlacesCacheStats() });
+});
+
+// ?kind=details limits the purge to one kind, ?expired=1 to expired entries
+app.delete('/api/admin/places-cache', (req, res) => {
+  const auth = req.headers['authorization']?.replace(/^Bearer\s+/i, '') || '';
+  if (!ADMIN_SECRET || auth !== ADMIN_SECRET) return res.status(401).json({ error: 'unauthorized' });
+  const kind = req.query.kind ? String(req.query.kind) : null;
+  if (kind && !(kind in PLACES_CACHE_TTL_MS)) return res.status(400).json({ error: 'invalid_kind', kinds: Object.keys(PLACES_CACHE_TTL_MS) });
+  const deleted = db.purgePlacesCache({ kind, expiredOnly: req.query.expired === '1' });
+  res.json({ ok: true, deleted });
+});
+
+app.listen(PORT, () => {
+  console.log(`Server listening on http://localhost:${PORT}`);
+});
+
+// Helpers
+// Parse an .ics and replace the member's stored busy blocks
+function importCalendar(userId, text, { source, url = null }) {
+  const { from, to } = calendarWindow();
+  const blocks = parseBusyBlocks(text, { from, to });
+  db.saveUserCalendar(userId, { source, url, blocks, rangeStart: from, rangeEnd: to });
+}
+
+// What the LIFF form shows about a member's calendar (never the secret URL itself)
+function calendarSummary(calendar) {
+  if (!calendar) return null;
+  return {
+    source: calendar.source,
+    host: calendar.url ? describeCalendarUrl(calendar.url) : null,
+    blockCount: Number(calendar.block_count) || 0,
+    rangeEnd: calendar.range_end ? Number(calendar.range_end) : null,
+    updatedAt: Number(calendar.updated_at),
+    lastError: calendar.last_error || null,
+  };
+}
+
+function suggestionsFor(userId, calendar, options) {
+  const rangeStart = Number(calendar.range_start) || null;
+  const rangeEnd = Number(calendar.range_end) || null;
+  const blocks = db.getBusyBlocks(userId, rangeStart || 0, rangeEnd || Number.MAX_SAFE_INTEGER);
+  return suggestChoices(options, blocks, { rangeStart, rangeEnd });
+}
+
+// Subscription calendars are re-fetched in the background when a member opens a form; the stored blocks
+// are used meanwhile, and a failed fetch keeps them.
+const refreshingCalendars = new Set();
+function refreshStaleCalendar(calendar) {
+  if (!ALLOW_CALENDAR_URL_FETCH || calendar.source !== 'url' || !calendar.url) return;
+  if (Date.now() - Number(calendar.fetched_at || 0) < CALENDAR_REFRESH_MS) return;
+  const userId = calendar.user_id;
+  if (refreshingCalendars.has(userId)) return;
+  refreshingCalendars.add(userId);
+  fetchCalendarText(calendar.url)
+    .then((text) => importCalendar(userId, text, { source: 'url', url: calendar.url }))
+    .catch((e) => {
+      console.warn(`[CALENDAR] refresh failed for ${userId}:`, e.message);
+      db.setUserCalendarError(userId, e.message);
+    })
+    .finally(() => refreshingCalendars.delete(userId));
+}
+
+// RSVP round as the LIFF form shows it: replies, ○ voters who have not replied yet, and the viewer's own reply
+function rsvpView(pollId, userId) {
+  const { attending, declined, pending } = db.getRsvps(pollId);
+  const names = (list) => list.map((m) => m.name || '名前未設定');
+  return {
+    expected: attending.length + pending.length,
+    attending: names(attending),
+    declined: names(declined),
+    pending: names(pending),
+    mine: attending.some((m) => m.userId === userId) ? true : declined.some((m) => m.userId === userId) ? false : null,
+  };
+}
+
+// Shop vote as the LIFF form shows it; mine marks the viewer's vote, canDecide the organizer
+function shopVoteView(poll, userId) {
+  const vote = db.getShopVote(poll.id);
+  if (!vote) return null;
+  return {
+    closedAt: vote.closedAt,
+    venue: vote.closedAt ? poll.venue_name : null,
+    reservation: poll.reservation_status === 'reserved' ? { name: poll.reservation_name } : null,
+    canDecide: !vote.closedAt && (!poll.created_by || poll.created_by === userId),
+    candidates: vote.candidates.map((c) => ({
+      id: c.id,
+      name: c.name,
+      area: c.area,
+      genres: c.genres,
+      url: c.maps_url,
+      votes: c.voters.length,
+      voters: c.voters.map((v) => v.name || '名前未設定'),
+      mine: c.voters.some((v) => v.userId === userId),
+    })),
+  };
+}
+
+// The bill split as the LIFF form shows it; mine marks the viewer's own row
+function settlementView(poll, settlement, userId) {
+  if (!settlement) return null;
+  return {
+    id: settlement.id,
+    total: settlement.total,
+    collected: settlement.collected,
+    unit: settlement.unit,
+    mode: settlement.mode,
+    createdByName: settlement.created_by_name,
+    completedAt: settlement.completed_at ? Number(settlement.completed_at) : null,
+    canManage: !!userId && (userId === settlement.created_by || userId === poll.created_by),
+    rows: settlement.rows.map((r) => ({
+      position: r.position,
+      name: r.name,
+      share: r.share,
+      note: describeShare(r),
+      paid: !!r.paidAt,
+      mine: !!r.userId && r.userId === userId,
+    })),
+  };
+}
+
+// Required members with their current answers ({ optionId: choice }), matched by user ID or display name
+function requiredMembersWithChoices(pollId) {
+  const votes = db.getVotes3ForPoll(pollId);
+  const required = db.getPollRequiredMembers(pollId).map((m) => ({ userId: m.user_id, name: m.name }));
+  return resolveMembers(required, votes).map((m) => {
+    const mine = m.userId ? votes.filter((v) => v.user_id === m.userId) : [];
+    return {
+      userId: m.userId,
+      name: m.name || mine[0]?.user_name || null,
+      choices: Object.fromEntries(mine.map((v) => [v.option_id, Number(v.choice)])),
+    };
+  });
 }
 
 async function checkAndPromptClose({ pollId }) {
@@ -236,7 +794,7 @@ async function checkAndPromptClose({ pollId }) {
   const nOpts = options.length;
   if (nOpts === 0) return;
   // まずはメンバーの総数（Bot除外済みの人数）が取得できるか試す
-  const memberCount = await getHumanMemberCount(poll.group_id);
+  const memberCount = await getHumanMemberCount(client, poll.group_id);
   const counts = db.getAnswerCountsByUser(pollId); // [{ user_id, cnt }]
   const byUser = new Map(counts.map((r) => [r.user_id, Number(r.cnt) || 0]));
   const completedUsers = counts.filter((r) => Number(r.cnt) >= nOpts).map((r) => r.user_id);
@@ -247,7 +805,7 @@ async function checkAndPromptClose({ pollId }) {
     allAnswered = completedUsers.length >= memberCount;
   } else {
     // 旧来のIDベース（取得できる場合）
-    const memberIds = await getAllMemberIds(poll.group_id);
+    const memberIds = await getAllMemberIds(client, poll.group_id);
     if (!memberIds || memberIds.length === 0) {
       // no-op
     }
@@ -265,14 +823,15 @@ async function checkAndPromptClose({ pollId }) {
   }
   if (!allAnswered) return;
 
-  // Build confirm template
+  // Build confirm template (names the poll, since a group may run several)
+  const prompt = `「${formatPollTitle(poll).slice(0, 60)}」は全員の回答が揃いました。締め切りますか？`;
   const messages = [
     {
       type: 'template',
-      altText: '全員の回答が揃いました。締め切りますか？',
+      altText: prompt,
       template: {
         type: 'confirm',
-        text: '全員の回答が揃いました。締め切りますか？',
+        text: prompt,
         actions: [
           { type: 'postback', label: 'はい', data: `close:${pollId}:yes` },
           { type: 'postback', label: 'いいえ', data: `close:${pollId}:no` },
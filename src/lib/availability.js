@@ -0,0 +1,325 @@
+// Member availability from their own calendars: parse an iCalendar file (uploaded, pasted or fetched from a
+// subscription URL) into busy blocks, and suggest ○/△/× for poll options that overlap them.
+// Only start/end times are kept; titles and other event details are never stored.
+import axios from 'axios';
+import dns from 'dns';
+import https from 'https';
+import net from 'net';
+import dayjs from 'dayjs';
+import { TZ, slotRange } from './time.js';
+
+export const MAX_CALENDAR_BYTES = 2 * 1024 * 1024;
+const PAST_DAYS = 1; // busy blocks are kept from yesterday ...
+const FUTURE_DAYS = 366; // ... to a year ahead
+const MAX_BLOCKS = 5000;
+const MAX_OCCURRENCES = 1000; // per recurring event
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Span of busy blocks kept for a member: { from, to } in epoch ms
+export function calendarWindow(now = Date.now()) {
+  return { from: now - PAST_DAYS * 86400000, to: now + FUTURE_DAYS * 86400000 };
+}
+
+// ---- iCalendar parsing ----
+
+// "DTSTART;TZID=Asia/Tokyo:20261020T190000" -> { name, params, value }
+function parseLine(line) {
+  const m = line.match(/^([A-Za-z0-9-]+)((?:;[^:;=]+=(?:"[^"]*"|[^:;]*))*):(.*)$/);
+  if (!m) return null;
+  const params = {};
+  for (const p of m[2].split(';').slice(1)) {
+    const i = p.indexOf('=');
+    params[p.slice(0, i).toUpperCase()] = p.slice(i + 1).replace(/^"|"$/g, '');
+  }
+  return { name: m[1].toUpperCase(), params, value: m[3].trim() };
+}
+
+function validZone(tzid) {
+  if (!tzid) return null;
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone: tzid });
+    return tzid;
+  } catch {
+    return null; // e.g. Outlook's "Tokyo Standard Time"
+  }
+}
+
+// DATE / DATE-TIME value -> { at: dayjs, allDay, zone }. Floating times and unknown zones are read as Japan time.
+function parseDateValue(value, params = {}) {
+  const m = String(value).match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!m) return null;
+  const [, y, mo, d, h, mi, s, z] = m;
+  if (h == null || params.VALUE === 'DATE') {
+    return { at: dayjs.tz(`${y}-${mo}-${d}`, TZ), allDay: true, zone: TZ };
+  }
+  const local = `${y}-${mo}-${d} ${h}:${mi}:${s || '00'}`;
+  if (z) return { at: dayjs.utc(local), allDay: false, zone: 'UTC' };
+  const zone = validZone(params.TZID) || TZ;
+  return { at: dayjs.tz(local, zone), allDay: false, zone };
+}
+
+// "PT1H30M", "P1D", "P2W" -> ms
+function parseDuration(value) {
+  const m = String(value).match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!m) return null;
+  const [, sign, w, d, h, mi, s] = m.map((x, i) => (i > 1 ? Number(x || 0) : x));
+  const ms = ((((w * 7 + d) * 24 + h) * 60 + mi) * 60 + s) * 1000;
+  return sign === '-' ? -ms : ms;
+}
+
+function parseRule(value) {
+  const rule = {};
+  for (const part of value.split(';')) {
+    const [k, v] = part.split('=');
+    if (k && v) rule[k.toUpperCase()] = v;
+  }
+  return {
+    freq: rule.FREQ,
+    interval: Math.max(1, Number(rule.INTERVAL) || 1),
+    count: rule.COUNT ? Number(rule.COUNT) : null,
+    until: rule.UNTIL ? parseDateValue(rule.UNTIL)?.at : null,
+    byDay: rule.BYDAY
+      ? rule.BYDAY.split(',').map((x) => x.match(/^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/)).filter(Boolean)
+        .map(([, n, wd]) => ({ n: n ? Number(n) : null, day: WEEKDAYS.indexOf(wd) }))
+      : [],
+    byMonthDay: rule.BYMONTHDAY ? rule.BYMONTHDAY.split(',').map(Number).filter(Boolean) : [],
+  };
+}
+
+// Days of one month matching BYDAY (with optional ordinal, e.g. 2TU / -1FR) or BYMONTHDAY
+function monthDays(month, rule, dtstart) {
+  const last = month.daysInMonth();
+  if (rule.byDay.length) {
+    const days = [];
+    for (const { n, day } of rule.byDay) {
+      const matches = [];
+      for (let d = 1; d <= last; d++) if (month.date(d).day() === day) matches.push(d);
+      if (n == null) days.push(...matches);
+      else {
+        const pick = n > 0 ? matches[n - 1] : matches[matches.length + n];
+        if (pick) days.push(pick);
+      }
+    }
+    return days;
+  }
+  if (rule.byMonthDay.length) return rule.byMonthDay.map((d) => (d > 0 ? d : last + d + 1)).filter((d) => d >= 1 && d <= last);
+  return dtstart.date() <= last ? [dtstart.date()] : [];
+}
+
+const PERIOD_UNITS = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' };
+
+// Start times of a recurring event (in its own zone, keeping the local time of day) up to windowEnd.
+// Without COUNT, periods long before windowStart are skipped instead of walked through.
+function expandRule(dtstart, zone, rule, windowStart, windowEnd) {
+  const unit = PERIOD_UNITS[rule.freq];
+  if (!unit) return [dtstart];
+  const base = dtstart.tz(zone);
+  const at = (day) => dayjs.tz(`${day.format('YYYY-MM-DD')} ${base.format('HH:mm:ss')}`, zone);
+  const out = [];
+  let emitted = 0;
+  const push = (t) => {
+    if (t.isBefore(dtstart)) return true;
+    if ((rule.until && t.isAfter(rule.until)) || t.isAfter(windowEnd)) return false;
+    if (rule.count != null && emitted >= rule.count) return false;
+    emitted++;
+    out.push(t);
+    return emitted < MAX_OCCURRENCES;
+  };
+  const day0 = base.startOf('day');
+  const skip = rule.count == null ? Math.max(0, Math.floor(windowStart.diff(day0, unit) / rule.interval) - 1) : 0;
+  for (let i = skip; i < skip + MAX_OCCURRENCES * 2; i++) {
+    let days;
+    if (rule.freq === 'DAILY') {
+      const d = day0.add(i * rule.interval, 'day');
+      days = !rule.byDay.length || rule.byDay.some((b) => b.day === d.day()) ? [d] : [];
+    } else if (rule.freq === 'WEEKLY') {
+      const weekStart = day0.subtract((day0.day() + 6) % 7, 'day').add(i * rule.interval, 'week'); // weeks start on Monday
+      const wds = rule.byDay.length ? rule.byDay.map((b) => b.day) : [day0.day()];
+      days = [...new Set(wds)].map((wd) => weekStart.add((wd + 6) % 7, 'day')).sort((a, b) => a - b);
+    } else if (rule.freq === 'MONTHLY') {
+      const month = day0.startOf('month').add(i * rule.interval, 'month');
+      days = [...new Set(monthDays(month, rule, day0))].sort((a, b) => a - b).map((d) => month.date(d));
+    } else {
+      const d = day0.add(i * rule.interval, 'year');
+      days = d.date() === day0.date() ? [d] : []; // Feb 29 only recurs in leap years
+    }
+    if (days.length && days[0].isAfter(windowEnd)) break;
+    for (const d of days) if (!push(at(d))) return out;
+  }
+  return out;
+}
+
+// Busy blocks ({ start, end, allDay } in epoch ms) of an iCalendar text, limited to [from, to].
+// Free (TRANSP:TRANSPARENT) and cancelled events are skipped; RRULE/EXDATE and moved occurrences
+// (RECURRENCE-ID) are expanded for the common daily/weekly/monthly/yearly rules.
+export function parseBusyBlocks(text, { from, to } = calendarWindow()) {
+  const lines = String(text || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let current = null;
+  let nested = 0; // VALARM etc. inside a VEVENT
+  for (const raw of lines) {
+    const line = parseLine(raw);
+    if (!line) continue;
+    if (line.name === 'BEGIN') {
+      if (line.value.toUpperCase() === 'VEVENT' && !current) current = { exdates: [] };
+      else if (current) nested++;
+      continue;
+    }
+    if (line.name === 'END') {
+      if (current && nested) nested--;
+      else if (current && line.value.toUpperCase() === 'VEVENT') {
+        events.push(current);
+        current = null;
+      }
+      continue;
+    }
+    if (!current || nested) continue;
+    switch (line.name) {
+      case 'UID': current.uid = line.value; break;
+      case 'DTSTART': current.start = parseDateValue(line.value, line.params); break;
+      case 'DTEND': current.end = parseDateValue(line.value, line.params); break;
+      case 'DURATION': current.duration = parseDuration(line.value); break;
+      case 'RRULE': current.rule = parseRule(line.value); break;
+      case 'RECURRENCE-ID': current.recurrenceId = parseDateValue(line.value, line.params); break;
+      case 'TRANSP': current.transparent = line.value.toUpperCase() === 'TRANSPARENT'; break;
+      case 'STATUS': current.cancelled = line.value.toUpperCase() === 'CANCELLED'; break;
+      case 'EXDATE':
+        for (const v of line.value.split(',')) {
+          const d = parseDateValue(v, line.params);
+          if (d) current.exdates.push(d.at.valueOf());
+        }
+        break;
+      default: break;
+    }
+  }
+
+  // Occurrences moved or cancelled individually replace the matching instance of their series
+  const overridden = new Set(events.filter((e) => e.uid && e.recurrenceId).map((e) => `${e.uid}|${e.recurrenceId.at.valueOf()}`));
+  const windowStart = dayjs(from);
+  const windowEnd = dayjs(to);
+  const blocks = [];
+  for (const e of events) {
+    if (!e.start || e.transparent || e.cancelled) continue;
+    let length;
+    if (e.end) length = e.end.at.diff(e.start.at);
+    else if (e.duration != null) length = e.duration;
+    else length = e.start.allDay ? 86400000 : 0;
+    if (!(length > 0)) continue;
+    const starts = e.rule && !e.recurrenceId ? expandRule(e.start.at, e.start.zone, e.rule, windowStart, windowEnd) : [e.start.at];
+    for (const s of starts) {
+      const start = s.valueOf();
+      if (e.exdates.includes(start)) continue;
+      if (e.rule && !e.recurrenceId && overridden.has(`${e.uid}|${start}`)) continue;
+      const end = e.start.allDay ? s.add(Math.round(length / 86400000), 'day').valueOf() : start + length;
+      if (end <= from || start >= to) continue;
+      blocks.push({ start, end, allDay: e.start.allDay });
+    }
+  }
+  blocks.sort((a, b) => a.start - b.start);
+  return blocks.slice(0, MAX_BLOCKS);
+}
+
+// ---- Subscription URLs ----
+
+function isPrivateAddress(ip) {
+  if (net.isIPv4(ip)) {
+    const [a, b] = ip.split('.').map(Number);
+    return a === 10 || a === 127 || a === 0 || (a === 169 && b === 254) || (a === 172 && b >= 16 && b <= 31)
+      || (a === 192 && b === 168) || (a === 100 && b >= 64 && b <= 127) || a >= 224;
+  }
+  const v6 = ip.toLowerCase();
+  if (v6.startsWith('::ffff:')) return isPrivateAddress(v6.slice(7));
+  return v6 === '::1' || v6 === '::' || /^f[cd]/.test(v6) || /^fe[89ab]/.test(v6);
+}
+
+// dns.lookup that fails on private addresses. Used at connect time, so a host cannot pass the check
+// above and then resolve to an internal address for the actual request (DNS rebinding).
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const list = Array.isArray(address) ? address : [{ address }];
+    if (!list.length || list.some((a) => isPrivateAddress(a.address))) {
+      return callback(Object.assign(new Error('このURLは取得できません'), { code: 'EPRIVATEADDR' }));
+    }
+    callback(null, address, family);
+  });
+}
+
+const calendarAgent = new https.Agent({ lookup: publicLookup });
+
+// webcal:// is https:// for our purposes; anything else must be a public https URL
+export function normalizeCalendarUrl(input) {
+  let url;
+  try {
+    url = new URL(String(input || '').trim().replace(/^webcals?:\/\//i, 'https://'));
+  } catch {
+    return null;
+  }
+  if (url.protocol !== 'https:' || url.username || url.password) return null;
+  return url;
+}
+
+// Fetch an iCalendar subscription server-side. Refuses private/loopback hosts (also at connect time) and redirects,
+// so the server cannot be used to reach internal services.
+export async function fetchCalendarText(input) {
+  const url = normalizeCalendarUrl(input);
+  if (!url) throw new Error('https（または webcal）のURLを指定してください');
+  const addresses = await dns.promises.lookup(url.hostname, { all: true }).catch(() => []);
+  if (!addresses.length) throw new Error('URLのホストが見つかりません');
+  if (addresses.some((a) => isPrivateAddress(a.address))) throw new Error('このURLは取得できません');
+  const resp = await axios.get(url.toString(), {
+    responseType: 'text',
+    timeout: 10000,
+    maxRedirects: 0,
+    maxContentLength: MAX_CALENDAR_BYTES,
+    httpsAgent: calendarAgent,
+    headers: { Accept: 'text/calendar, text/plain;q=0.9' },
+  });
+  const text = String(resp.data || '');
+  if (!/BEGIN:VCALENDAR/i.test(text)) throw new Error('iCalendar（.ics）形式ではありません');
+  return text;
+}
+
+// URL shown back to the member: the path usually carries a secret, so only the host is revealed
+export function describeCalendarUrl(input) {
+  const url = normalizeCalendarUrl(input);
+  return url ? url.hostname : null;
+}
+
+// ---- Suggestions ----
+
+const hhmm = (ms) => dayjs(ms).tz(TZ).format('HH:mm');
+
+// Suggested answer per option from busy blocks: × when busy for the whole slot (or an all-day busy event),
+// △ when partly busy, ○ when free. Options outside the calendar's covered range get no suggestion.
+// Returns { [optionId]: { choice, reason } }.
+export function suggestChoices(options, blocks, { rangeStart = null, rangeEnd = null } = {}) {
+  const out = {};
+  for (const o of options) {
+    if (!o.date) continue;
+    const slot = slotRange(o.date, o.start_time, o.end_time);
+    const start = slot.start.valueOf();
+    const end = slot.end.valueOf();
+    if ((rangeStart && start < rangeStart) || (rangeEnd && end > rangeEnd)) continue;
+    const hits = blocks.filter((b) => b.start < end && b.end > start);
+    if (!hits.length) {
+      out[o.id] = { choice: 2, reason: '予定なし' };
+      continue;
+    }
+    if (hits.some((b) => b.allDay)) {
+      out[o.id] = { choice: 0, reason: '終日の予定あり' };
+      continue;
+    }
+    // Does the union of busy blocks cover the whole slot?
+    let covered = start;
+    for (const b of [...hits].sort((a, b2) => a.start - b2.start)) {
+      if (b.start > covered) break;
+      covered = Math.max(covered, b.end);
+    }
+    const times = hits.slice(0, 3).map((b) => `${hhmm(Math.max(b.start, start))}〜${hhmm(Math.min(b.end, end))}`).join('、');
+    out[o.id] = covered >= end && !slot.allDay
+      ? { choice: 0, reason: `${times} に予定あり` }
+      : { choice: 1, reason: `${times} に予定あり` };
+  }
+  return out;
+}
@@ -22,6 +22,26 @@ function fallbackWeekendCandidates(query, limit = 6) {
   return out;
 }
 
+// Accept "H:mm" / "HH:mm" (also full-width colon); anything else is dropped
+function normalizeTime(v) {
+  if (typeof v !== 'string') return null;
+  const m = v.trim().replace(/[：]/g, ':').match(/^(\d{1,2}):(\d{2})$/);
+  if (!m) return null;
+  const h = Number(m[1]);
+  const mi = Number(m[2]);
+  if (h > 23 || mi > 59) return null;
+  return `${String(h).padStart(2, '0')}:${m[2]}`;
+}
+
+export function normalizeCandidate(x) {
+  return {
+    date: x.date,
+    label: x.label || dayjs(x.date).format('M/D'),
+    start_time: normalizeTime(x.start_time),
+    end_time: normalizeTime(x.end_time),
+  };
+}
+
 export async function extractCandidateDatesWithMeta(query) {
   // Try Anthropic first (if available), then Gemini as fallback before giving up
   if (ANTHROPIC_API_KEY) {
@@ -31,9 +51,11 @@ Rules:
 - Today: ${dayjs().format('YYYY-MM-DD')}
 - Examples: "9/5, 9/9", "10/1-10/11の土日"
 - Prefer upcoming/future dates but do not guess; avoid speculative inference.
-- Output strictly JSON array: [{"date":"YYYY-MM-DD","label":"M/D(曜)"}, ...]
+- Output strictly JSON array: [{"date":"YYYY-MM-DD","label":"M/D(曜)","start_time":"HH:mm"|null,"end_time":"HH:mm"|null}, ...]
 - Use Japanese weekday like (月)(火)(水)(木)(金)(土)(日)
-- Max 30 items, sorted ascending by date.
+- If a time of day is given, set start_time/end_time (24h). "ランチ" = 12:00-14:00, "夜"/"ディナー" = 19:00 start. Different time slots on the same date are separate items.
+- Keep times out of label; label may carry a short note like "ランチ".
+- Max 30 items, sorted ascending by date and start_time.
 - If dates are not explicit or clear, output [] (no extra text).`;
     const user = `リクエスト: ${query}\n明確に指定された候補日が無ければ空配列[]を返してください。`;
     try {
@@ -62,7 +84,7 @@ Rules:
       const candidates = arr
         .filter((x) => x?.date)
         .slice(0, 30)
-        .map((x) => ({ date: x.date, label: x.label || dayjs(x.date).format('M/D') }));
+        .map(normalizeCandidate);
       return { candidates, source: 'anthropic' };
     } catch (_) {
       // fall through to Gemini
@@ -84,25 +106,64 @@ export async function extractCandidateDates(query) {
   return candidates;
 }
 
+const EDIT_REQUEST = /追加|足して|増やして|削除|消して|外して|取り消|なくして|無くして/;
+const REMOVE_REQUEST = /削除|消して|外して|取り消|なくして|無くして/;
+const ADD_REQUEST = /追加|足して|増やして/;
+// Keyword fallback can only tell one intent per message, so "10/5は削除して10/20を追加" is sent back
+const MIXED_EDIT_REPLY = '追加と削除を一度に受け付けられませんでした。「@ボット 10/20も追加して」「@ボット 10/5は削除して」のように、1つずつ送ってください。';
+
+// Earlier turns of the session -> Anthropic messages. Roles must alternate and start with the user,
+// so consecutive turns of the same role (several members replying in a row) are merged.
+function buildConversation(history, userText) {
+  const out = [];
+  for (const m of [...history, { role: 'user', content: userText }]) {
+    if (!m?.content || (m.role !== 'user' && m.role !== 'assistant')) continue;
+    const last = out[out.length - 1];
+    if (last && last.role === m.role) last.content += `\n${m.content}`;
+    else if (out.length || m.role === 'user') out.push({ role: m.role, content: m.content });
+  }
+  return out;
+}
+
 // Tool-calling helper
-// Runs a single-turn conversation with optional tool use.
+// Runs a conversation with optional tool use. `history` holds the earlier turns of the session
+// ([{ role: 'user'|'assistant', content }]) so a clarifying reply ("じゃあ10月の土日") keeps the original intent.
 // If the assistant triggers tool_use:update_event_candidates, returns { tool: { name, input, id }, messages: [...], text }
-export async function runWithTools({ sessionId, userText, now = dayjs(), titleHint }) {
+// When activePoll ({ id, title, options }) is given, the assistant may instead call edit_event_candidates
+// to add/remove dates of that open poll.
+export async function runWithTools({ sessionId, userText, now = dayjs(), titleHint, activePoll = null, history = [] }) {
   // Helper to build a tool response from extracted candidates
   const makeTool = (cands) => ({
     name: 'update_event_candidates',
     input: { session_id: sessionId, title: titleHint || '日程候補', candidates: cands },
     id: 'gemini-fallback',
   });
+  // Without tool calling, "10/20も追加して" / "10/5は削除" is decided by keywords
+  const makeEditTool = (cands) => ({
+    name: 'edit_event_candidates',
+    input: REMOVE_REQUEST.test(userText)
+      ? { poll_id: activePoll.id, remove: cands.map((c) => ({ date: c.date, start_time: c.start_time })) }
+      : { poll_id: activePoll.id, add: cands },
+    id: 'gemini-fallback',
+  });
+  const wantsEdit = !!activePoll && EDIT_REQUEST.test(userText);
+  const mixedEdit = wantsEdit && ADD_REQUEST.test(userText) && REMOVE_REQUEST.test(userText);
+  const messages = buildConversation(history, userText);
+  // The Gemini fallbacks are single-shot, so they get every user turn of the session at once
+  const conversationText = messages.filter((m) => m.role === 'user').map((m) => m.content).join('\n');
 
   if (!ANTHROPIC_API_KEY) {
     // Try Gemini first when Anthropic is unavailable
-    const gem = await geminiExtractCandidates(userText);
+    if (mixedEdit) return { text: MIXED_EDIT_REPLY, tool: null, messages: [], fallbackReason: null };
+    const gem = await geminiExtractCandidates(wantsEdit ? userText : conversationText);
+    if (gem && gem.length && wantsEdit) {
+      return { text: '候補日を更新しました。', tool: makeEditTool(gem), messages: [], fallbackReason: null };
+    }
     if (gem && gem.length) {
       return { text: '候補日をいくつか提案しました。', tool: makeTool(gem), messages: [], fallbackReason: null };
     }
     // If Gemini couldn't extract dates, still try to produce a clarifying reply via Gemini
-    const gemMsg = await geminiAskPrompt(userText);
+    const gemMsg = await geminiAskPrompt(conversationText);
     if (gemMsg) {
       return { text: gemMsg, tool: null, messages: [], fallbackReason: null };
     }
@@ -113,7 +174,7 @@ export async function runWithTools({ sessionId, userText, now = dayjs(), titleHi
   const tools = [
     {
       name: 'update_event_candidates',
-      description: '候補日が確定したら、現在のセッションに候補日リストを保存して投票作成の準備をする。候補日は YYYY-MM-DD 形式の date と、表示用の label。',
+      description: '候補日が確定したら、現在のセッションに候補日リストを保存して投票作成の準備をする。候補日は YYYY-MM-DD 形式の date と、表示用の label。時間帯の指定があれば start_time/end_time (HH:mm) を付け、同じ日の別の時間帯は別候補にする。',
       input_schema: {
         type: 'object',
         properties: {
@@ -125,7 +186,9 @@ export async function runWithTools({ sessionId, userText, now = dayjs(), titleHi
               type: 'object',
               properties: {
                 date: { type: 'string', description: 'YYYY-MM-DD' },
-                label: { type: 'string', description: 'M/D(曜) など人間向け表示' },
+                label: { type: 'string', description: 'M/D(曜) など人間向け表示。「ランチ」等の補足は可、時刻は含めない' },
+                start_time: { type: 'string', description: '開始時刻 HH:mm（24時間制）。時間指定が無ければ省略' },
+                end_time: { type: 'string', description: '終了時刻 HH:mm（24時間制）。分からなければ省略' },
               },
               required: ['date'],
             },
@@ -136,6 +199,43 @@ export async function runWithTools({ sessionId, userText, now = dayjs(), titleHi
       },
     },
   ];
+  if (activePoll) {
+    tools.push({
+      name: 'edit_event_candidates',
+      description: '受付中の投票の候補日を追加・削除する。既存の回答は残る。削除は option_id（分からなければ date と start_time）で指定する。',
+      input_schema: {
+        type: 'object',
+        properties: {
+          poll_id: { type: 'string', description: '対象の投票ID' },
+          add: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                date: { type: 'string', description: 'YYYY-MM-DD' },
+                label: { type: 'string', description: 'M/D(曜) など人間向け表示。時刻は含めない' },
+                start_time: { type: 'string', description: '開始時刻 HH:mm。時間指定が無ければ省略' },
+                end_time: { type: 'string', description: '終了時刻 HH:mm。分からなければ省略' },
+              },
+              required: ['date'],
+            },
+          },
+          remove: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                option_id: { type: 'string', description: '削除する候補のID' },
+                date: { type: 'string', description: 'YYYY-MM-DD（option_id が無い場合）' },
+                start_time: { type: 'string', description: 'HH:mm（同じ日に複数の時間帯がある場合）' },
+              },
+            },
+          },
+        },
+        required: ['poll_id'],
+      },
+    });
+  }
 
   const system = `あなたは日本語のスケジューリングアシスタントです。ユーザーの意図を理解し、
 1) まず丁寧・簡潔な返信文を考えます。
@@ -143,16 +243,24 @@ export async function runWithTools({ sessionId, userText, now = dayjs(), titleHi
    - 明確の基準: 「9/5, 9/9」のような複数の日付、「10/1-10/11の土日」のような範囲指定、解釈が一意に定まる表現。
    - 曖昧な表現（\"来月\"、\"そのうち\"、文脈不足など）の場合は絶対にツールを呼び出さないこと。
    - 曜日や\"今週末/来週末\"など相対的な表現は、今日が ${now.format('YYYY-MM-DD')} である前提で一意に定まる場合のみ許可。
+   - 時間帯の指定（\"19時〜\"、\"ランチ\"、\"夜\" など）があれば start_time/end_time に入れる。目安: ランチ=12:00〜14:00、夜/ディナー=19:00〜。
+     「10/5 ランチと夜」のように同じ日に複数の時間帯があれば、それぞれ別の候補にする。
 3) ツールを呼び出さない場合は、日付の提示を促す確認メッセージを短く返します（具体例: 10/5, 10/12 や 10/1-10/11 の土日 など）。
 ルール:
 - タイムゾーン: Asia/Tokyo, 今日: ${now.format('YYYY-MM-DD')}
 - 候補日は未来寄りに解釈。ただし不確かな推測はしない（想像で決めない）。
 - 不要なコードブロックやJSONは返さず、日本語テキスト中心。
-`;
-
-  const messages = [
-    { role: 'user', content: userText },
-  ];
+- これまでの会話が続いている場合、「じゃあ10月の土日」のような返答は先の発言の意図（イベント名・条件・時間帯）を引き継いで解釈し、title にも反映する。
+- ユーザーの発言は「名前: 本文」の形式で、グループの複数メンバーから届くことがある。
+${activePoll ? `
+現在このグループには受付中の投票があります。
+- 投票ID: ${activePoll.id}
+- タイトル: ${activePoll.title}
+- 候補:
+${activePoll.options.map((o) => `  - option_id=${o.id} ${o.date || ''}${o.start_time ? ` ${o.start_time}` : ''} ${o.label}`).join('\n')}
+「10/20も追加して」「10/5は削除」のように既存の投票の候補を変えたい発話では、update_event_candidates ではなく edit_event_candidates を呼び出すこと。
+新しい別のイベントの日程調整と明確に分かる場合のみ update_event_candidates を使う。
+` : ''}`;
 
   try {
     const resp = await axios.post(
@@ -177,7 +285,7 @@ export async function runWithTools({ sessionId, userText, now = dayjs(), titleHi
 
     const content = resp.data?.content || [];
     const textParts = content.filter((c) => c.type === 'text').map((c) => c.text);
-    const toolUse = content.find((c) => c.type === 'tool_use' && c.name === 'update_event_candidates');
+    const toolUse = content.find((c) => c.type === 'tool_use' && (c.name === 'update_event_candidates' || c.name === 'edit_event_candidates'));
     return {
       messages: [
         ...messages,
@@ -188,12 +296,16 @@ export async function runWithTools({ sessionId, userText, now = dayjs(), titleHi
     };
   } catch (e) {
     console.warn('Anthropic API error; trying Gemini. Reason:', e?.response?.data || e.message);
-    const gem = await geminiExtractCandidates(userText);
+    if (mixedEdit) return { text: MIXED_EDIT_REPLY, tool: null, messages, fallbackReason: null };
+    const gem = await geminiExtractCandidates(wantsEdit ? userText : conversationText);
+    if (gem && gem.length && wantsEdit) {
+      return { text: '候補日を更新しました。', tool: makeEditTool(gem), messages, fallbackReason: null };
+    }
     if (gem && gem.length) {
       return { text: '候補日をいくつか提案しました。', tool: makeTool(gem), messages, fallbackReason: null };
     }
     // Try to produce a clarifying message via Gemini
-    const gemMsg = await geminiAskPrompt(userText);
+    const gemMsg = await geminiAskPrompt(conversationText);
     if (gemMsg) {
       return { text: gemMsg, tool: null, messages, fallbackReason: null };
     }
@@ -214,8 +326,10 @@ async function geminiExtractCandidates(query) {
 - 今日: ${dayjs().format('YYYY-MM-DD')}
 - 例: 「9/5, 9/9」や「10/1-10/11の土日」
 - 未来寄りに解釈。ただし不確かな推測はしない（想像で補完しない）。
-- 形式: [{"date":"YYYY-MM-DD","label":"M/D(曜)"}, ...]
-- 最大30件、日付昇順。
+- 形式: [{"date":"YYYY-MM-DD","label":"M/D(曜)","start_time":"HH:mm"|null,"end_time":"HH:mm"|null}, ...]
+- 時間帯の指定があれば start_time/end_time（24時間制）を入れる。ランチ=12:00〜14:00、夜/ディナー=19:00〜 が目安。同じ日の別の時間帯は別の要素にする。
+- label に時刻は含めない（「ランチ」などの短い補足は可）。
+- 最大30件、日付・開始時刻の昇順。
 - 出力は配列のみ。説明や余計なテキストは含めない。明確でない場合は [] を返す。
 
 リクエスト: ${query}`;
@@ -234,7 +348,7 @@ async function geminiExtractCandidates(query) {
     const mapped = arr
       .filter((x) => x?.date)
       .slice(0, 30)
-      .map((x) => ({ date: x.date, label: x.label || dayjs(x.date).format('M/D') }));
+      .map(normalizeCandidate);
     console.log('[GEMINI] extracted candidates:', mapped.length);
     return mapped;
   } catch (_) {
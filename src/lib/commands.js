@@ -0,0 +1,149 @@
+// Chat commands addressed to the bot ("@ボット 一覧") and poll references ("#2").
+// Polls are numbered per group (polls.seq) so several events can run side by side.
+import { formatDateJa, formatJst } from './time.js';
+
+const POLL_REF = /[#＃]\s*([0-9０-９]+)/;
+
+// Organizer commands, matched against the whole message (minus the mention and "#n") before the LLM sees it.
+// name -> pattern; a capture group, when present, is the command argument.
+const COMMANDS = [
+  ['help', /^(?:ヘルプ|help|使い方|コマンド)$/i],
+  ['list', /^(?:一覧|いちらん|リスト|list)$/i],
+  ['tally', /^(?:集計|途中結果|結果)$/],
+  ['deadline', /^(?:締切|締め切り|〆切)(?:[\s:：]+(.*))?$/],
+  ['close', /^(?:締める|締めて|締め切る|締め切って)$/],
+  ['reopen', /^(?:再開|再開して)$/],
+  ['cancel', /^(?:キャンセル|中止)$/],
+  ['undo', /^(?:やり直す|やり直し|やりなおす|確定取り消し|確定を取り消す)$/],
+  ['calendar', /^(?:カレンダー|calendar)(?:\s+(再発行))?$/i],
+  ['overview', /^(?:概要|イベント概要|まとめ)$/],
+  ['attendees', /^(?:参加者|出欠|参加状況|参加確認)$/],
+  ['shop_votes', /^(?:お店の投票|お店投票|店投票|お店の集計)$/],
+  ['shop_decide', /^(?:お店(?:を)?決定|お店を決める|店決定)(?:[\s:：]+(.*))?$/],
+  ['reservation', /^(?:予約|予約の準備|予約情報)$/],
+  ['reserved', /^(?:予約完了|予約しました|予約済み)(?:[\s:：]+(.*))?$/],
+  ['settle', /^(?:会計|割り勘|割勘|わりかん|精算)(?:[\s:：]+(.*))?$/],
+  ['paid', /^(?:支払い済み|支払済み|支払済|支払いました|払いました|払った)(?:[\s:：]+(.*))?$/],
+  ['payments', /^(?:集金状況|支払い状況|支払状況|未払い|未払い一覧)$/],
+  ['event_reminder_off', /^(?:予定の)?リマインド(?:を)?(?:停止|止めて|オフ|不要)(?:[\s:：]+(グループ|全員))?$/],
+  ['event_reminder_on', /^(?:予定の)?リマインド(?:を)?(?:再開|オン|希望)(?:[\s:：]+(グループ|全員))?$/],
+  ['station', /^(?:最寄り駅|最寄駅|最寄り)(?:[\s:：]+(.+))?$/],
+  ['meeting_point', /^(?:中間地点|中間駅|集まりやすい駅|集合場所)$/],
+  ['recurring', /^定例(?:一覧)?$/],
+  ['recurring_stop', /^定例(?:を)?(?:停止|削除|解除|やめる)\s*(\d+)?$/],
+];
+
+// Statuses a command can act on; used to pick the default poll and to reject a mismatched "#n"
+export const COMMAND_STATUSES = {
+  tally: ['open', 'closing'],
+  deadline: ['open'],
+  close: ['open'],
+  reopen: ['closing'],
+  cancel: ['open', 'closing', 'closed'],
+  undo: ['closed'],
+  meeting_point: ['open', 'closing', 'closed'],
+  overview: ['closed'],
+  attendees: ['closed'],
+  shop_votes: ['closed'],
+  shop_decide: ['closed'],
+  reservation: ['closed'],
+  reserved: ['closed'],
+  settle: ['closed'],
+  paid: ['closed'],
+  payments: ['closed'],
+};
+
+export const HELP_TEXT = [
+  'コマンド一覧（「@ボット コマンド」の形で送ってください）',
+  '・一覧: 進行中の投票と番号',
+  '・集計: 現在の回答状況',
+  '・締切 10/5 21:00: 回答締切を設定（「締切 なし」で解除）',
+  '・締める: 投票を締め切って日程を選ぶ',
+  '・再開: 締め切った投票の受付を再開',
+  '・キャンセル: 投票（確定済みの予定も可）を取りやめる',
+  '・やり直す: 確定した日程を取り消して選び直す',
+  '・概要: 確定したイベントの日時・お店・参加者・予約・会計のまとめ',
+  '・参加者: 確定した日程の参加・不参加の返事',
+  '・お店の投票: おすすめのお店への投票状況',
+  '・お店決定: 投票を締め切って一番人気のお店に決定（「お店決定 2」で番号を指定）',
+  '・予約: 決まったお店の電話番号・予約メッセージ（「予約完了」で予約済みを記録。「予約完了 山田」で予約名を指定）',
+  '・会計 42000円: 確定した参加者で割り勘（「田中は先輩」「佐藤は飲まない」「500円単位」なども指定可）',
+  '・支払い済み: 自分の支払いを記録（幹事は「支払い済み 佐藤 鈴木」で代わりに記録）',
+  '・集金状況: 会計の未払いの人と金額',
+  '・最寄り駅 渋谷: 自分の最寄り駅を登録（エリア未指定のお店探しで集まりやすい駅を使う）',
+  '・集まりやすい駅: 登録された最寄り駅から公平な集合駅の候補',
+  '・カレンダー: 確定した予定を購読できるURL',
+  '・リマインド停止: 予定の前日・当日のリマインドで自分をメンションしない（「リマインド停止 グループ」でグループ全体を停止、「リマインド再開」で戻す）',
+  '・毎月第2週の平日で定例会: 毎月の投票を自動で作成（「定例」で一覧、「定例停止 1」で停止）',
+  '締切の設定・締める・再開・キャンセル・やり直すは、投票を作った幹事だけが使えます。',
+  '投票が複数あるときは「@ボット #2 集計」のように番号を付けます。',
+  '日程調整は「@ボット 来週の土日で飲み会」のように話しかけてください。',
+].join('\n');
+
+function toHalfWidthDigits(s) {
+  return s.replace(/[０-９]/g, (c) => String.fromCharCode(c.charCodeAt(0) - 0xfee0));
+}
+
+// "#2 渋谷で居酒屋" -> { seq: 2, rest: '渋谷で居酒屋' }; seq is null when no poll is referenced
+export function parsePollRef(text) {
+  const m = (text || '').match(POLL_REF);
+  if (!m) return { seq: null, rest: (text || '').trim() };
+  const rest = (text.slice(0, m.index) + text.slice(m.index + m[0].length)).trim();
+  return { seq: Number(toHalfWidthDigits(m[1])), rest };
+}
+
+// "締切 10/5 21:00" -> { name: 'deadline', arg: '10/5 21:00' }; null when the text is not a command
+export function parseCommand(text) {
+  const s = (text || '').trim();
+  for (const [name, re] of COMMANDS) {
+    const m = s.match(re);
+    if (m) return { name, arg: (m[1] || '').trim() };
+  }
+  return null;
+}
+
+// Quick reply buttons that run commands via postback (quick reply text would not mention the bot).
+// items: [{ label, data, displayText? }]; LINE allows 13 items with labels up to 20 characters.
+export function commandQuickReply(items) {
+  return {
+    items: items.slice(0, 13).map(({ label, data, displayText }) => ({
+      type: 'action',
+      action: { type: 'postback', label: label.length > 20 ? `${label.slice(0, 19)}…` : label, data, displayText: displayText || label },
+    })),
+  };
+}
+
+export function pollRef(poll) {
+  return poll?.seq ? `#${poll.seq}` : '';
+}
+
+// "#2 送別会" for messages and Flex headers
+export function formatPollTitle(poll) {
+  const ref = pollRef(poll);
+  return ref ? `${ref} ${poll.title}` : poll.title;
+}
+
+function describeStatus(poll) {
+  if (poll.status === 'open') return '回答受付中';
+  if (poll.status === 'closing') return '日程の確定待ち';
+  if (poll.follow_up_state === 'question_sent') {
+    return `${poll.finalized_date ? `${formatDateJa(poll.finalized_date)}に確定・` : ''}お店の希望待ち`;
+  }
+  return poll.status;
+}
+
+// polls: rows from listActivePollsForGroup; voterCounts: Map(pollId -> number of members who answered)
+export function formatPollList(polls, voterCounts = new Map()) {
+  if (!polls.length) return '進行中の投票はありません。';
+  const lines = ['進行中の投票:'];
+  for (const poll of polls) {
+    const details = [describeStatus(poll)];
+    if (poll.status === 'open') {
+      details.push(`回答${voterCounts.get(poll.id) || 0}人`);
+      if (poll.deadline) details.push(`締切 ${formatJst(poll.deadline)}`);
+    }
+    lines.push(`${formatPollTitle(poll)}（${details.join('・')}）`);
+  }
+  lines.push('', '「@ボット #番号 …」のように番号を付けると、その投票を指定できます。');
+  return lines.join('\n');
+}
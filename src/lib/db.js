@@ -2,6 +2,7 @@ import Database from 'better-sqlite3';
 import fs from 'fs';
 import path from 'path';
 import crypto from 'crypto';
+import { DEFAULT_GROUP_SETTINGS } from './settings.js';
 
 const DB_PATH = process.env.DB_PATH || './data/app.sqlite';
 
@@ -24,6 +25,8 @@ export function initDB() {
       poll_id TEXT NOT NULL,
       label TEXT NOT NULL,
       date TEXT,
+      start_time TEXT,
+      end_time TEXT,
       FOREIGN KEY (poll_id) REFERENCES polls(id) ON DELETE CASCADE
     );
     CREATE TABLE IF NOT EXISTS votes (
@@ -49,8 +52,21 @@ export function initDB() {
       session_id TEXT NOT NULL,
       label TEXT,
       date TEXT NOT NULL,
+      start_time TEXT,
+      end_time TEXT,
       FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
     );
+    -- Conversation turns of a scheduling session, replayed to the LLM on the next mention
+    CREATE TABLE IF NOT EXISTS session_messages (
+      session_id TEXT NOT NULL,
+      role TEXT NOT NULL,
+      content TEXT NOT NULL,
+      user_id TEXT,
+      user_name TEXT,
+      created_at INTEGER NOT NULL,
+      FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+    );
+    CREATE INDEX IF NOT EXISTS idx_session_messages ON session_messages (session_id);
     -- Ternary votes for LIFF (0:×, 1:△, 2:○)
     CREATE TABLE IF NOT EXISTS votes3 (
       poll_id TEXT NOT NULL,
@@ -63,6 +79,193 @@ export function initDB() {
       FOREIGN KEY (poll_id) REFERENCES polls(id) ON DELETE CASCADE,
       FOREIGN KEY (option_id) REFERENCES options(id) ON DELETE CASCADE
     );
+    -- Persistent jobs for the in-process scheduler (survive restarts)
+    CREATE TABLE IF NOT EXISTS jobs (
+      id TEXT PRIMARY KEY,
+      type TEXT NOT NULL,
+      job_key TEXT,
+      payload TEXT,
+      run_at INTEGER NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      last_error TEXT,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_jobs_due ON jobs (status, run_at);
+    CREATE INDEX IF NOT EXISTS idx_jobs_key ON jobs (job_key);
+    -- Members who must be able to attend (主役/必須参加者). user_id is null when only a name was given.
+    CREATE TABLE IF NOT EXISTS poll_required_members (
+      poll_id TEXT NOT NULL,
+      user_id TEXT,
+      name TEXT,
+      created_at INTEGER NOT NULL,
+      FOREIGN KEY (poll_id) REFERENCES polls(id) ON DELETE CASCADE
+    );
+    CREATE INDEX IF NOT EXISTS idx_required_poll ON poll_required_members (poll_id);
+    -- Append-only history of a poll: creation, vote changes, deadline/status changes and who did them.
+    -- actor_* are null for the scheduler; data is a JSON object whose shape depends on type.
+    CREATE TABLE IF NOT EXISTS poll_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      poll_id TEXT NOT NULL,
+      type TEXT NOT NULL,
+      actor_id TEXT,
+      actor_name TEXT,
+      data TEXT,
+      created_at INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_poll_events_poll ON poll_events (poll_id, id);
+    -- Secret token of each group's calendar subscription URL
+    CREATE TABLE IF NOT EXISTS calendar_feeds (
+      group_id TEXT PRIMARY KEY,
+      token TEXT NOT NULL UNIQUE,
+      created_at INTEGER NOT NULL
+    );
+    -- A member's own calendar (uploaded .ics or a subscription URL) reduced to busy blocks.
+    -- range_start/range_end: span the blocks were extracted for; outside it nothing is known.
+    CREATE TABLE IF NOT EXISTS user_calendars (
+      user_id TEXT PRIMARY KEY,
+      source TEXT NOT NULL,
+      url TEXT,
+      range_start INTEGER,
+      range_end INTEGER,
+      block_count INTEGER NOT NULL DEFAULT 0,
+      fetched_at INTEGER,
+      last_error TEXT,
+      updated_at INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS busy_blocks (
+      user_id TEXT NOT NULL,
+      start_at INTEGER NOT NULL,
+      end_at INTEGER NOT NULL,
+      all_day INTEGER NOT NULL DEFAULT 0
+    );
+    CREATE INDEX IF NOT EXISTS idx_busy_blocks_user ON busy_blocks (user_id, start_at);
+    -- A member's nearest station (resolved via Places), used to find a fair meeting point for the group
+    CREATE TABLE IF NOT EXISTS member_stations (
+      user_id TEXT PRIMARY KEY,
+      user_name TEXT,
+      name TEXT NOT NULL,
+      place_id TEXT,
+      address TEXT,
+      lat REAL NOT NULL,
+      lng REAL NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+    -- Google Places / Geocoding responses reused until expires_at; cache_key hashes the path and params.
+    -- kind: 'geocode' | 'station' | 'nearby' | 'details' (TTLs in shop_suggester.js)
+    CREATE TABLE IF NOT EXISTS places_cache (
+      cache_key TEXT PRIMARY KEY,
+      kind TEXT NOT NULL,
+      path TEXT NOT NULL,
+      body TEXT NOT NULL,
+      hits INTEGER NOT NULL DEFAULT 0,
+      expires_at INTEGER NOT NULL,
+      created_at INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_places_cache_expires ON places_cache (expires_at);
+    -- Recurring events (定例会) that recreate a poll every month; pattern is JSON (see recurring.js).
+    -- last_month: the latest month ("YYYY-MM") a poll was created for.
+    CREATE TABLE IF NOT EXISTS recurring_rules (
+      id TEXT PRIMARY KEY,
+      group_id TEXT NOT NULL,
+      seq INTEGER NOT NULL,
+      title TEXT NOT NULL,
+      pattern TEXT NOT NULL,
+      create_day INTEGER NOT NULL,
+      deadline_days_before INTEGER,
+      shop_query TEXT,
+      created_by TEXT,
+      created_by_name TEXT,
+      active INTEGER NOT NULL DEFAULT 1,
+      last_month TEXT,
+      created_at INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_recurring_group ON recurring_rules (group_id, active);
+    -- Final 参加/不参加 replies after the date is fixed (cleared when the finalization is undone)
+    CREATE TABLE IF NOT EXISTS rsvps (
+      poll_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      user_name TEXT,
+      attending INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL,
+      PRIMARY KEY (poll_id, user_id),
+      FOREIGN KEY (poll_id) REFERENCES polls(id) ON DELETE CASCADE
+    );
+    -- Shops from the latest search for a poll, voted on by the group ("ここに投票"); a new search replaces them.
+    -- genres is a JSON array; place_id/address/phone/website come from Google Places when known.
+    CREATE TABLE IF NOT EXISTS shop_candidates (
+      id TEXT PRIMARY KEY,
+      poll_id TEXT NOT NULL,
+      position INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      area TEXT,
+      genres TEXT,
+      reason TEXT,
+      place_id TEXT,
+      address TEXT,
+      phone TEXT,
+      website TEXT,
+      maps_url TEXT,
+      image_url TEXT,
+      created_at INTEGER NOT NULL,
+      FOREIGN KEY (poll_id) REFERENCES polls(id) ON DELETE CASCADE
+    );
+    CREATE INDEX IF NOT EXISTS idx_shop_candidates_poll ON shop_candidates (poll_id, position);
+    -- One vote per member and poll; voting again moves it to another shop
+    CREATE TABLE IF NOT EXISTS shop_votes (
+      poll_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      user_name TEXT,
+      candidate_id TEXT NOT NULL,
+      voted_at INTEGER NOT NULL,
+      PRIMARY KEY (poll_id, user_id),
+      FOREIGN KEY (candidate_id) REFERENCES shop_candidates(id) ON DELETE CASCADE
+    );
+    -- Bill splits (会計) of a finalized event; the latest one per poll is current (see warikan.js).
+    -- voided_at: set when the finalization is undone; voided splits are kept for the history but no longer current.
+    -- unit: rounding unit in yen; mode: 'up' | 'down'; collected: sum of the rounded shares.
+    CREATE TABLE IF NOT EXISTS settlements (
+      id TEXT PRIMARY KEY,
+      poll_id TEXT NOT NULL,
+      total INTEGER NOT NULL,
+      unit INTEGER NOT NULL,
+      mode TEXT NOT NULL,
+      collected INTEGER NOT NULL,
+      created_by TEXT,
+      created_by_name TEXT,
+      created_at INTEGER NOT NULL,
+      FOREIGN KEY (poll_id) REFERENCES polls(id) ON DELETE CASCADE
+    );
+    CREATE INDEX IF NOT EXISTS idx_settlements_poll ON settlements (poll_id, created_at);
+    -- One row per payer; user_id is null for guests and names typed in the command.
+    -- amount: fixed amount when given ("高橋3000円"), otherwise null; tags is a JSON array of labels.
+    CREATE TABLE IF NOT EXISTS settlement_members (
+      settlement_id TEXT NOT NULL,
+      position INTEGER NOT NULL,
+      user_id TEXT,
+      name TEXT NOT NULL,
+      weight REAL NOT NULL,
+      amount INTEGER,
+      share INTEGER NOT NULL,
+      tags TEXT,
+      PRIMARY KEY (settlement_id, position),
+      FOREIGN KEY (settlement_id) REFERENCES settlements(id) ON DELETE CASCADE
+    );
+    -- Members who asked not to be mentioned in the day-before / same-day event reminders of a group
+    CREATE TABLE IF NOT EXISTS event_reminder_optouts (
+      group_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      user_name TEXT,
+      created_at INTEGER NOT NULL,
+      PRIMARY KEY (group_id, user_id)
+    );
+    -- Per-group settings as a JSON object (see settings.js for keys/defaults)
+    CREATE TABLE IF NOT EXISTS group_settings (
+      group_id TEXT PRIMARY KEY,
+      settings TEXT NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
   `);
 
   // Add deadline column to polls if missing
@@ -77,8 +280,171 @@ export function initDB() {
     if (!cols.some((c) => c.name === 'finalized_date')) {
       db.exec("ALTER TABLE polls ADD COLUMN finalized_date TEXT");
     }
+    if (!cols.some((c) => c.name === 'finalized_start_time')) {
+      db.exec("ALTER TABLE polls ADD COLUMN finalized_start_time TEXT");
+    }
+    if (!cols.some((c) => c.name === 'finalized_end_time')) {
+      db.exec("ALTER TABLE polls ADD COLUMN finalized_end_time TEXT");
+    }
+    if (!cols.some((c) => c.name === 'created_by')) {
+      db.exec("ALTER TABLE polls ADD COLUMN created_by TEXT");
+    }
+    if (!cols.some((c) => c.name === 'reminders_sent')) {
+      db.exec("ALTER TABLE polls ADD COLUMN reminders_sent INTEGER NOT NULL DEFAULT 0");
+    }
+    if (!cols.some((c) => c.name === 'last_reminded_at')) {
+      db.exec("ALTER TABLE polls ADD COLUMN last_reminded_at INTEGER");
+    }
+    if (!cols.some((c) => c.name === 'finalized_at')) {
+      db.exec('ALTER TABLE polls ADD COLUMN finalized_at INTEGER');
+    }
+    // Venue picked for the finalized event (shown in the calendar export)
+    for (const col of ['venue_name', 'venue_address', 'venue_url', 'venue_phone', 'venue_website', 'venue_image_url']) {
+      if (!cols.some((c) => c.name === col)) db.exec(`ALTER TABLE polls ADD COLUMN ${col} TEXT`);
+    }
+    // Polls created from a recurring rule, and the shop preference carried over from it
+    if (!cols.some((c) => c.name === 'recurring_rule_id')) {
+      db.exec('ALTER TABLE polls ADD COLUMN recurring_rule_id TEXT');
+    }
+    if (!cols.some((c) => c.name === 'shop_query')) {
+      db.exec('ALTER TABLE polls ADD COLUMN shop_query TEXT');
+    }
+    // When the organizer closed the shop vote (the winner is stored as the venue), and the request behind
+    // the latest search with its budget ({ min_yen, max_yen } JSON) for the reservation message
+    if (!cols.some((c) => c.name === 'shop_vote_closed_at')) {
+      db.exec('ALTER TABLE polls ADD COLUMN shop_vote_closed_at INTEGER');
+    }
+    if (!cols.some((c) => c.name === 'shop_request')) {
+      db.exec('ALTER TABLE polls ADD COLUMN shop_request TEXT');
+    }
+    if (!cols.some((c) => c.name === 'shop_budget')) {
+      db.exec('ALTER TABLE polls ADD COLUMN shop_budget TEXT');
+    }
+    // Booking of the venue ("予約完了"): reservation_status is 'reserved' or null; cleared when the venue changes or the date is undone
+    for (const col of ['reservation_status', 'reservation_name', 'reserved_by']) {
+      if (!cols.some((c) => c.name === col)) db.exec(`ALTER TABLE polls ADD COLUMN ${col} TEXT`);
+    }
+    if (!cols.some((c) => c.name === 'reserved_at')) {
+      db.exec('ALTER TABLE polls ADD COLUMN reserved_at INTEGER');
+    }
+    // Fingerprint of the event summary card last posted to the group (re-posted only when it changes)
+    if (!cols.some((c) => c.name === 'summary_hash')) {
+      db.exec('ALTER TABLE polls ADD COLUMN summary_hash TEXT');
+    }
+    // Who took back the last finalization ("やり直す") and when
+    if (!cols.some((c) => c.name === 'reopened_by')) {
+      db.exec('ALTER TABLE polls ADD COLUMN reopened_by TEXT');
+    }
+    if (!cols.some((c) => c.name === 'reopened_at')) {
+      db.exec('ALTER TABLE polls ADD COLUMN reopened_at INTEGER');
+    }
+    // Short per-group number (#1, #2, ...) used to address a poll in chat
+    if (!cols.some((c) => c.name === 'seq')) {
+      db.exec('ALTER TABLE polls ADD COLUMN seq INTEGER');
+      db.exec(`UPDATE polls SET seq = (
+        SELECT COUNT(*) FROM polls p2
+        WHERE p2.group_id = polls.group_id
+          AND (p2.created_at < polls.created_at OR (p2.created_at = polls.created_at AND p2.rowid <= polls.rowid))
+      )`);
+    }
   } catch {}
 
+  // Payment ledger of a bill split: who has paid (and who recorded it), and when everyone had paid
+  try {
+    const cols = db.prepare("PRAGMA table_info('settlement_members')").all();
+    if (!cols.some((c) => c.name === 'paid_at')) {
+      db.exec('ALTER TABLE settlement_members ADD COLUMN paid_at INTEGER');
+    }
+    if (!cols.some((c) => c.name === 'paid_recorded_by')) {
+      db.exec('ALTER TABLE settlement_members ADD COLUMN paid_recorded_by TEXT');
+    }
+    const settlementCols = db.prepare("PRAGMA table_info('settlements')").all();
+    if (!settlementCols.some((c) => c.name === 'completed_at')) {
+      db.exec('ALTER TABLE settlements ADD COLUMN completed_at INTEGER');
+    }
+    if (!settlementCols.some((c) => c.name === 'voided_at')) {
+      db.exec('ALTER TABLE settlements ADD COLUMN voided_at INTEGER');
+    }
+  } catch {}
+
+  // Add time-of-day columns (HH:mm) to candidates if missing
+  try {
+    for (const table of ['options', 'session_candidates']) {
+      const cols = db.prepare(`PRAGMA table_info('${table}')`).all();
+      if (!cols.some((c) => c.name === 'start_time')) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN start_time TEXT`);
+      }
+      if (!cols.some((c) => c.name === 'end_time')) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN end_time TEXT`);
+      }
+    }
+  } catch {}
+
+  // actor: { userId, name } of the member behind a change, or null for the system (scheduler)
+  const insertEvent = db.prepare(
+    'INSERT INTO poll_events (poll_id, type, actor_id, actor_name, data, created_at) VALUES (?, ?, ?, ?, ?, ?)'
+  );
+  function logEvent(pollId, type, actor, data = null) {
+    insertEvent.run(pollId, type, actor?.userId || null, actor?.name || null, data ? JSON.stringify(data) : null, Date.now());
+  }
+  const pollField = (pollId, column) => db.prepare(`SELECT ${column} AS v FROM polls WHERE id = ?`).get(pollId)?.v ?? null;
+  const recurringRule = (row) => (row ? { ...row, pattern: JSON.parse(row.pattern) } : null);
+  function pollAttendees(pollId) {
+    return db
+      .prepare(
+        `SELECT user_id AS userId, MAX(name) AS name FROM (
+           SELECT v.user_id, v.user_name AS name, v.updated_at AS at
+           FROM polls p
+           JOIN options o ON o.poll_id = p.id AND o.date = p.finalized_date
+             AND COALESCE(o.start_time, '') = COALESCE(p.finalized_start_time, '')
+           JOIN votes3 v ON v.option_id = o.id AND v.poll_id = p.id AND v.choice = 2
+           WHERE p.id = ?
+           UNION ALL
+           SELECT user_id, user_name, updated_at FROM rsvps WHERE poll_id = ? AND attending = 1
+         )
+         WHERE user_id NOT IN (SELECT user_id FROM rsvps WHERE poll_id = ? AND attending = 0)
+         GROUP BY user_id
+         ORDER BY MIN(at) ASC`
+      )
+      .all(pollId, pollId, pollId);
+  }
+  function settlement(row) {
+    if (!row) return null;
+    const rows = db
+      .prepare('SELECT * FROM settlement_members WHERE settlement_id = ? ORDER BY position')
+      .all(row.id)
+      .map((m) => ({
+        position: m.position,
+        userId: m.user_id,
+        name: m.name,
+        weight: m.weight,
+        amount: m.amount,
+        share: m.share,
+        tags: JSON.parse(m.tags || '[]'),
+        paidAt: m.paid_at ? Number(m.paid_at) : null,
+      }));
+    return { ...row, rows };
+  }
+  // venue: { name, address, url, phone?, website?, imageUrl? } or null; a booking made for the previous venue no longer applies
+  function setVenue(pollId, venue, actor) {
+    db.prepare(
+      `UPDATE polls SET venue_name = ?, venue_address = ?, venue_url = ?, venue_phone = ?, venue_website = ?, venue_image_url = ?,
+         reservation_status = NULL, reservation_name = NULL, reserved_by = NULL, reserved_at = NULL
+       WHERE id = ?`
+    ).run(
+      venue?.name || null,
+      venue?.address || null,
+      venue?.url || null,
+      venue?.phone || null,
+      venue?.website || null,
+      venue?.imageUrl || null,
+      pollId
+    );
+    logEvent(pollId, 'venue', actor, { name: venue?.name || null, address: venue?.address || null, url: venue?.url || null });
+  }
+  const shopCandidate = (row) => (row ? { ...row, genres: JSON.parse(row.genres || '[]') } : null);
+  const optionSummary = (o) => ({ id: o.id, label: o.label, date: o.date || null, startTime: o.start_time ?? o.startTime ?? null });
+
   return {
     db,
     getLatestPollForGroup(groupId) {
@@ -86,11 +452,436 @@ export function initDB() {
         .prepare('SELECT * FROM polls WHERE group_id = ? ORDER BY created_at DESC LIMIT 1')
         .get(groupId);
     },
-    setPollFinalizedDate(pollId, date) {
-      db.prepare('UPDATE polls SET finalized_date = ? WHERE id = ?').run(date, pollId);
+    setPollFinalizedDate(pollId, date, { startTime = null, endTime = null } = {}, actor = null) {
+      db.prepare(
+        'UPDATE polls SET finalized_date = ?, finalized_start_time = ?, finalized_end_time = ?, finalized_at = ? WHERE id = ?'
+      ).run(date, startTime || null, endTime || null, date ? Date.now() : null, pollId);
+      logEvent(pollId, 'finalized', actor, { date, startTime: startTime || null, endTime: endTime || null });
+    },
+    // venue: { name, address, url, phone?, website?, imageUrl? } or null to clear
+    setPollVenue(pollId, venue, actor = null) {
+      setVenue(pollId, venue, actor);
+    },
+    // Take back a finalization: back to `status` ('open' or 'closing') with the date and shop follow-up cleared.
+    // Returns false when the poll was not finalized (e.g. a second tap on the confirmation).
+    undoPollFinalization(pollId, { status, actor = null }) {
+      const date = pollField(pollId, 'finalized_date');
+      const r = db
+        .prepare(
+          `UPDATE polls SET status = ?, finalized_date = NULL, finalized_start_time = NULL, finalized_end_time = NULL,
+             finalized_at = NULL, follow_up_state = NULL, reopened_by = ?, reopened_at = ?,
+             reservation_status = NULL, reservation_name = NULL, reserved_by = NULL, reserved_at = NULL
+           WHERE id = ? AND status = 'closed'`
+        )
+        .run(status, actor?.userId || null, Date.now(), pollId);
+      if (r.changes > 0) {
+        // Replies, the booking and the bill split were for the old date
+        db.prepare('DELETE FROM rsvps WHERE poll_id = ?').run(pollId);
+        db.prepare('UPDATE settlements SET voided_at = ? WHERE poll_id = ? AND voided_at IS NULL').run(Date.now(), pollId);
+        logEvent(pollId, 'finalize_undone', actor, { date, to: status });
+      }
+      return r.changes > 0;
+    },
+    // Events for the group's calendar feed: finalized polls, including ones cancelled afterwards
+    listFinalizedPollsForGroup(groupId) {
+      return db
+        .prepare(
+          "SELECT * FROM polls WHERE group_id = ? AND finalized_date IS NOT NULL AND status IN ('closed', 'cancelled') ORDER BY finalized_date ASC"
+        )
+        .all(groupId);
+    },
+    // Finalized events on or after date ("YYYY-MM-DD"), to re-plan their reminders at boot
+    listUpcomingEventPolls(date) {
+      return db
+        .prepare("SELECT * FROM polls WHERE status = 'closed' AND finalized_date >= ? ORDER BY finalized_date ASC")
+        .all(date);
+    },
+    // Returns false when the member's choice was already recorded
+    setEventReminderOptOut({ groupId, userId, userName = null, optOut }) {
+      if (optOut) {
+        return db
+          .prepare('INSERT OR IGNORE INTO event_reminder_optouts (group_id, user_id, user_name, created_at) VALUES (?, ?, ?, ?)')
+          .run(groupId, userId, userName, Date.now()).changes > 0;
+      }
+      return db.prepare('DELETE FROM event_reminder_optouts WHERE group_id = ? AND user_id = ?').run(groupId, userId).changes > 0;
+    },
+    listEventReminderOptOuts(groupId) {
+      return db.prepare('SELECT user_id FROM event_reminder_optouts WHERE group_id = ?').all(groupId).map((r) => r.user_id);
+    },
+    getCalendarToken(groupId) {
+      const row = db.prepare('SELECT token FROM calendar_feeds WHERE group_id = ?').get(groupId);
+      if (row) return row.token;
+      const token = crypto.randomBytes(24).toString('base64url');
+      db.prepare('INSERT INTO calendar_feeds (group_id, token, created_at) VALUES (?, ?, ?)').run(groupId, token, Date.now());
+      return token;
+    },
+    // Invalidates the old subscription URL (e.g. after it leaked)
+    rotateCalendarToken(groupId) {
+      const token = crypto.randomBytes(24).toString('base64url');
+      db.prepare(
+        `INSERT INTO calendar_feeds (group_id, token, created_at) VALUES (?, ?, ?)
+         ON CONFLICT(group_id) DO UPDATE SET token = excluded.token, created_at = excluded.created_at`
+      ).run(groupId, token, Date.now());
+      return token;
+    },
+    getGroupIdByCalendarToken(token) {
+      return db.prepare('SELECT group_id FROM calendar_feeds WHERE token = ?').get(token)?.group_id || null;
+    },
+    // Replace a member's busy blocks. source: 'upload' | 'url' (url is kept to refresh the blocks later)
+    saveUserCalendar(userId, { source, url = null, blocks, rangeStart, rangeEnd }) {
+      const now = Date.now();
+      const ins = db.prepare('INSERT INTO busy_blocks (user_id, start_at, end_at, all_day) VALUES (?, ?, ?, ?)');
+      db.transaction(() => {
+        db.prepare('DELETE FROM busy_blocks WHERE user_id = ?').run(userId);
+        for (const b of blocks) ins.run(userId, b.start, b.end, b.allDay ? 1 : 0);
+        db.prepare(
+          `INSERT INTO user_calendars (user_id, source, url, range_start, range_end, block_count, fetched_at, last_error, updated_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, NULL, ?)
+           ON CONFLICT(user_id) DO UPDATE SET source = excluded.source, url = excluded.url, range_start = excluded.range_start,
+             range_end = excluded.range_end, block_count = excluded.block_count, fetched_at = excluded.fetched_at,
+             last_error = NULL, updated_at = excluded.updated_at`
+        ).run(userId, source, url, rangeStart, rangeEnd, blocks.length, now, now);
+      })();
+    },
+    getUserCalendar(userId) {
+      return db.prepare('SELECT * FROM user_calendars WHERE user_id = ?').get(userId) || null;
+    },
+    // A failed refresh keeps the previous blocks
+    setUserCalendarError(userId, error) {
+      db.prepare('UPDATE user_calendars SET last_error = ?, fetched_at = ? WHERE user_id = ?').run(String(error || ''), Date.now(), userId);
+    },
+    deleteUserCalendar(userId) {
+      db.transaction(() => {
+        db.prepare('DELETE FROM busy_blocks WHERE user_id = ?').run(userId);
+        db.prepare('DELETE FROM user_calendars WHERE user_id = ?').run(userId);
+      })();
+    },
+    getBusyBlocks(userId, from, to) {
+      return db
+        .prepare('SELECT start_at, end_at, all_day FROM busy_blocks WHERE user_id = ? AND start_at < ? AND end_at > ? ORDER BY start_at')
+        .all(userId, to, from)
+        .map((r) => ({ start: Number(r.start_at), end: Number(r.end_at), allDay: !!r.all_day }));
+    },
+    // station: { name, place_id, address, location: { lat, lng } } from resolveHomeStation
+    setMemberStation(userId, userName, station) {
+      db.prepare(
+        `INSERT INTO member_stations (user_id, user_name, name, place_id, address, lat, lng, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT(user_id) DO UPDATE SET user_name = COALESCE(excluded.user_name, member_stations.user_name), name = excluded.name,
+           place_id = excluded.place_id, address = excluded.address, lat = excluded.lat, lng = excluded.lng, updated_at = excluded.updated_at`
+      ).run(userId, userName, station.name, station.place_id || null, station.address || null, station.location.lat, station.location.lng, Date.now());
+    },
+    getMemberStation(userId) {
+      return db.prepare('SELECT * FROM member_stations WHERE user_id = ?').get(userId) || null;
+    },
+    deleteMemberStation(userId) {
+      return db.prepare('DELETE FROM member_stations WHERE user_id = ?').run(userId).changes > 0;
+    },
+    // Registered stations of the given members, in the order of userIds
+    getMemberStations(userIds) {
+      const ids = [...new Set(userIds.filter(Boolean))];
+      if (!ids.length) return [];
+      const rows = db.prepare(`SELECT * FROM member_stations WHERE user_id IN (${ids.map(() => '?').join(', ')})`).all(...ids);
+      return ids.map((id) => rows.find((r) => r.user_id === id)).filter(Boolean);
+    },
+    // Parsed response body, or null when missing or expired
+    getPlacesCache(key) {
+      const row = db.prepare('SELECT body FROM places_cache WHERE cache_key = ? AND expires_at > ?').get(key, Date.now());
+      if (!row) return null;
+      db.prepare('UPDATE places_cache SET hits = hits + 1 WHERE cache_key = ?').run(key);
+      return JSON.parse(row.body);
+    },
+    putPlacesCache({ key, kind, path, body, ttlMs }) {
+      const now = Date.now();
+      db.prepare(
+        `INSERT INTO places_cache (cache_key, kind, path, body, hits, expires_at, created_at) VALUES (?, ?, ?, ?, 0, ?, ?)
+         ON CONFLICT(cache_key) DO UPDATE SET body = excluded.body, hits = 0, expires_at = excluded.expires_at, created_at = excluded.created_at`
+      ).run(key, kind, path, JSON.stringify(body), now + ttlMs, now);
+    },
+    // Per kind: { entries, expired, bytes, hits } (hits: reuses of the stored entries)
+    getPlacesCacheStats() {
+      const rows = db
+        .prepare(
+          `SELECT kind, COUNT(*) AS entries, SUM(expires_at <= ?) AS expired, SUM(LENGTH(body)) AS bytes, SUM(hits) AS hits
+           FROM places_cache GROUP BY kind ORDER BY kind`
+        )
+        .all(Date.now());
+      return Object.fromEntries(rows.map(({ kind, ...r }) => [kind, r]));
+    },
+    // Deletes entries (only expired ones with expiredOnly, only one kind with kind); returns the count
+    purgePlacesCache({ kind = null, expiredOnly = false } = {}) {
+      const where = [];
+      const args = [];
+      if (kind) {
+        where.push('kind = ?');
+        args.push(kind);
+      }
+      if (expiredOnly) {
+        where.push('expires_at <= ?');
+        args.push(Date.now());
+      }
+      return db.prepare(`DELETE FROM places_cache${where.length ? ` WHERE ${where.join(' AND ')}` : ''}`).run(...args).changes;
+    },
+    createRecurringRule({ groupId, title, pattern, createDay, deadlineDaysBefore = null, shopQuery = null, createdBy = null, createdByName = null }) {
+      const id = crypto.randomUUID();
+      const nextSeq = db.prepare('SELECT COALESCE(MAX(seq), 0) + 1 AS n FROM recurring_rules WHERE group_id = ?');
+      db.transaction(() => {
+        db.prepare(
+          `INSERT INTO recurring_rules (id, group_id, seq, title, pattern, create_day, deadline_days_before, shop_query,
+             created_by, created_by_name, active, created_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?)`
+        ).run(id, groupId, nextSeq.get(groupId).n, title, JSON.stringify(pattern), createDay, deadlineDaysBefore, shopQuery,
+          createdBy, createdByName, Date.now());
+      })();
+      return recurringRule(db.prepare('SELECT * FROM recurring_rules WHERE id = ?').get(id));
+    },
+    getRecurringRule(ruleId) {
+      return recurringRule(db.prepare('SELECT * FROM recurring_rules WHERE id = ?').get(ruleId));
     },
-    setPollFollowUpState(pollId, state) {
+    // Active rules of a group, or of every group when groupId is omitted (to re-plan jobs at boot)
+    listRecurringRules(groupId = null) {
+      const rows = groupId
+        ? db.prepare('SELECT * FROM recurring_rules WHERE group_id = ? AND active = 1 ORDER BY seq').all(groupId)
+        : db.prepare('SELECT * FROM recurring_rules WHERE active = 1').all();
+      return rows.map(recurringRule);
+    },
+    getRecurringRuleBySeq(groupId, seq) {
+      return recurringRule(db.prepare('SELECT * FROM recurring_rules WHERE group_id = ? AND seq = ? AND active = 1').get(groupId, seq));
+    },
+    setRecurringRuleMonth(ruleId, month) {
+      db.prepare('UPDATE recurring_rules SET last_month = ? WHERE id = ?').run(month, ruleId);
+    },
+    deactivateRecurringRule(ruleId) {
+      db.prepare('UPDATE recurring_rules SET active = 0 WHERE id = ?').run(ruleId);
+    },
+    // Expected attendees of the finalized date, in answer order: [{ userId, name }].
+    // Members who replied 参加, plus those who answered ○ for the date and have not replied 不参加.
+    getPollAttendees(pollId) {
+      return pollAttendees(pollId);
+    },
+    // Returns false when the member had already given the same reply
+    setRsvp({ pollId, userId, userName = null, attending }) {
+      const before = db.prepare('SELECT attending FROM rsvps WHERE poll_id = ? AND user_id = ?').get(pollId, userId);
+      db.prepare(
+        `INSERT INTO rsvps (poll_id, user_id, user_name, attending, updated_at) VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT(poll_id, user_id) DO UPDATE SET user_name = excluded.user_name, attending = excluded.attending, updated_at = excluded.updated_at`
+      ).run(pollId, userId, userName, attending ? 1 : 0, Date.now());
+      if (before && !!before.attending === !!attending) return false;
+      logEvent(pollId, 'rsvp', { userId, name: userName }, { attending: !!attending });
+      return true;
+    },
+    // { attending, declined, pending } as [{ userId, name }] in reply order; pending: ○ voters who have not
+    // replied yet (counted as attending meanwhile, see getPollAttendees)
+    getRsvps(pollId) {
+      const rows = db
+        .prepare('SELECT user_id AS userId, user_name AS name, attending FROM rsvps WHERE poll_id = ? ORDER BY updated_at ASC')
+        .all(pollId);
+      const pick = (flag) => rows.filter((r) => !!r.attending === flag).map(({ userId, name }) => ({ userId, name }));
+      const replied = new Set(rows.map((r) => r.userId));
+      const pending = pollAttendees(pollId).filter((m) => !replied.has(m.userId));
+      return { attending: pick(true), declined: pick(false), pending };
+    },
+    // shops: recommendations from suggestPlacesFromNL, in carousel order. Replaces the poll's earlier
+    // candidates (and their votes) and reopens the vote; returns the saved candidates.
+    // request/budget: the search text and its price band ({ min_yen, max_yen }), kept for the reservation message
+    saveShopCandidates(pollId, shops, actor = null, { request = null, budget = null } = {}) {
+      const insert = db.prepare(
+        `INSERT INTO shop_candidates (id, poll_id, position, name, area, genres, reason, place_id, address, phone, website, maps_url, image_url, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      );
+      const now = Date.now();
+      db.transaction(() => {
+        db.prepare('DELETE FROM shop_votes WHERE poll_id = ?').run(pollId);
+        db.prepare('DELETE FROM shop_candidates WHERE poll_id = ?').run(pollId);
+        db.prepare('UPDATE polls SET shop_vote_closed_at = NULL, shop_request = ?, shop_budget = ? WHERE id = ?')
+          .run(request, budget ? JSON.stringify(budget) : null, pollId);
+        shops.forEach((shop, i) => {
+          insert.run(
+            crypto.randomUUID(),
+            pollId,
+            i,
+            shop.name,
+            shop.area || null,
+            JSON.stringify(Array.isArray(shop.genres) ? shop.genres : []),
+            shop.reason || null,
+            shop.place_id || null,
+            shop.address || null,
+            shop.phone || null,
+            shop.website || null,
+            shop.google_maps_url || null,
+            shop.image_url || null,
+            now
+          );
+        });
+        logEvent(pollId, 'shop_candidates', actor, { names: shops.map((shop) => shop.name) });
+      })();
+      return db.prepare('SELECT * FROM shop_candidates WHERE poll_id = ? ORDER BY position').all(pollId).map(shopCandidate);
+    },
+    getShopCandidate(candidateId) {
+      return shopCandidate(db.prepare('SELECT * FROM shop_candidates WHERE id = ?').get(candidateId));
+    },
+    // { closedAt, candidates: [{ ...candidate, voters: [{ userId, name }] }] } in carousel order, or null without a search
+    getShopVote(pollId) {
+      const candidates = db.prepare('SELECT * FROM shop_candidates WHERE poll_id = ? ORDER BY position').all(pollId).map(shopCandidate);
+      if (!candidates.length) return null;
+      const votes = db
+        .prepare('SELECT candidate_id, user_id AS userId, user_name AS name FROM shop_votes WHERE poll_id = ? ORDER BY voted_at ASC')
+        .all(pollId);
+      const closedAt = pollField(pollId, 'shop_vote_closed_at');
+      return {
+        closedAt: closedAt ? Number(closedAt) : null,
+        candidates: candidates.map((c) => ({
+          ...c,
+          voters: votes.filter((v) => v.candidate_id === c.id).map(({ userId, name }) => ({ userId, name })),
+        })),
+      };
+    },
+    // Returns false when the member's vote was already on this shop
+    setShopVote({ pollId, candidateId, userId, userName = null }) {
+      const before = db.prepare('SELECT candidate_id FROM shop_votes WHERE poll_id = ? AND user_id = ?').get(pollId, userId);
+      if (before?.candidate_id === candidateId) return false;
+      db.prepare(
+        `INSERT INTO shop_votes (poll_id, user_id, user_name, candidate_id, voted_at) VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT(poll_id, user_id) DO UPDATE SET user_name = excluded.user_name, candidate_id = excluded.candidate_id, voted_at = excluded.voted_at`
+      ).run(pollId, userId, userName, candidateId, Date.now());
+      const name = db.prepare('SELECT name FROM shop_candidates WHERE id = ?').get(candidateId)?.name || null;
+      logEvent(pollId, 'shop_vote', { userId, name: userName }, { name });
+      return true;
+    },
+    // Close the shop vote with candidate as the event's venue; true only for the call that closed it
+    closeShopVote(pollId, candidate, actor = null) {
+      return db.transaction(() => {
+        const r = db
+          .prepare('UPDATE polls SET shop_vote_closed_at = ? WHERE id = ? AND shop_vote_closed_at IS NULL')
+          .run(Date.now(), pollId);
+        if (!r.changes) return false;
+        setVenue(pollId, {
+          name: candidate.name,
+          address: candidate.address,
+          url: candidate.maps_url || candidate.website,
+          phone: candidate.phone,
+          website: candidate.website,
+          imageUrl: candidate.image_url,
+        }, actor);
+        return true;
+      })();
+    },
+    // The poll of the group's most recent shop search (default target of the shop vote commands)
+    getLatestShopVotePoll(groupId) {
+      return db
+        .prepare(
+          `SELECT p.* FROM polls p JOIN shop_candidates c ON c.poll_id = p.id AND c.position = 0
+           WHERE p.group_id = ? AND p.status = 'closed' ORDER BY c.created_at DESC LIMIT 1`
+        )
+        .get(groupId) || null;
+    },
+    // The poll of the group's most recently decided venue (default target of the reservation commands)
+    getLatestVenuePoll(groupId) {
+      return db
+        .prepare(
+          `SELECT * FROM polls WHERE group_id = ? AND status = 'closed' AND venue_name IS NOT NULL
+           ORDER BY COALESCE(shop_vote_closed_at, finalized_at, created_at) DESC LIMIT 1`
+        )
+        .get(groupId) || null;
+    },
+    // Remember which summary card was posted last; returns false when it is the same one
+    setPollSummaryHash(pollId, hash) {
+      return db.prepare('UPDATE polls SET summary_hash = ? WHERE id = ? AND summary_hash IS NOT ?').run(hash, pollId, hash).changes > 0;
+    },
+    // "予約完了": the venue is booked under name; returns false when it already was (under the same name)
+    setPollReservation(pollId, name, actor = null) {
+      const before = db.prepare('SELECT reservation_status, reservation_name FROM polls WHERE id = ?').get(pollId);
+      if (before?.reservation_status === 'reserved' && before.reservation_name === (name || null)) return false;
+      db.prepare(
+        "UPDATE polls SET reservation_status = 'reserved', reservation_name = ?, reserved_by = ?, reserved_at = ? WHERE id = ?"
+      ).run(name || null, actor?.userId || null, Date.now(), pollId);
+      logEvent(pollId, 'reservation', actor, { name: name || null });
+      return true;
+    },
+    // rows: output of computeSettlement() (a row's paidAt carries a payment over from an earlier split);
+    // returns the saved settlement as getLatestSettlement does
+    createSettlement(pollId, { total, unit, mode, rows, collected }, actor = null) {
+      const id = crypto.randomUUID();
+      const insertMember = db.prepare(
+        `INSERT INTO settlement_members (settlement_id, position, user_id, name, weight, amount, share, tags, paid_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      );
+      db.transaction(() => {
+        db.prepare(
+          `INSERT INTO settlements (id, poll_id, total, unit, mode, collected, created_by, created_by_name, created_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+        ).run(id, pollId, total, unit, mode, collected, actor?.userId || null, actor?.name || null, Date.now());
+        rows.forEach((r, i) => {
+          insertMember.run(id, i, r.userId || null, r.name, r.weight, r.amount ?? null, r.share, JSON.stringify(r.tags || []), r.paidAt || null);
+        });
+        logEvent(pollId, 'settlement', actor, { total, unit, mode, members: rows.length, collected });
+      })();
+      return settlement(db.prepare('SELECT * FROM settlements WHERE id = ?').get(id));
+    },
+    // { ...settlements row, rows: [{ userId, name, weight, amount, share, tags }] } or null
+    getLatestSettlement(pollId) {
+      return settlement(
+        db
+          .prepare('SELECT * FROM settlements WHERE poll_id = ? AND voided_at IS NULL ORDER BY created_at DESC, rowid DESC LIMIT 1')
+          .get(pollId)
+      );
+    },
+    getSettlement(settlementId) {
+      return settlement(db.prepare('SELECT * FROM settlements WHERE id = ?').get(settlementId));
+    },
+    // The poll of the group's most recent bill split (default target of the payment commands)
+    getLatestSettledPoll(groupId) {
+      return db
+        .prepare(
+          `SELECT p.* FROM polls p JOIN settlements s ON s.poll_id = p.id
+           WHERE p.group_id = ? AND s.voided_at IS NULL ORDER BY s.created_at DESC LIMIT 1`
+        )
+        .get(groupId) || null;
+    },
+    // Current (latest) splits of every poll that still have unpaid members, to re-plan reminders at boot
+    listOpenSettlements() {
+      return db
+        .prepare(
+          `SELECT s.* FROM settlements s
+           WHERE s.completed_at IS NULL AND s.voided_at IS NULL
+             AND s.created_at = (SELECT MAX(created_at) FROM settlements WHERE poll_id = s.poll_id)`
+        )
+        .all()
+        .map(settlement);
+    },
+    // Mark one row (by position) paid or unpaid; returns false when it already was
+    setSettlementPaid(settlementId, position, paid, actor = null) {
+      const row = db.prepare('SELECT * FROM settlement_members WHERE settlement_id = ? AND position = ?').get(settlementId, position);
+      if (!row || !!row.paid_at === !!paid) return false;
+      const pollId = db.prepare('SELECT poll_id FROM settlements WHERE id = ?').get(settlementId).poll_id;
+      db.transaction(() => {
+        db.prepare('UPDATE settlement_members SET paid_at = ?, paid_recorded_by = ? WHERE settlement_id = ? AND position = ?')
+          .run(paid ? Date.now() : null, paid ? actor?.userId || null : null, settlementId, position);
+        // Un-marking someone reopens a completed ledger
+        if (!paid) db.prepare('UPDATE settlements SET completed_at = NULL WHERE id = ?').run(settlementId);
+        logEvent(pollId, 'payment', actor, { name: row.name, share: row.share, paid: !!paid });
+      })();
+      return true;
+    },
+    // Close the ledger once nobody is left unpaid; true only for the call that closed it
+    completeSettlement(settlementId) {
+      const r = db
+        .prepare(
+          `UPDATE settlements SET completed_at = ? WHERE id = ? AND completed_at IS NULL
+             AND NOT EXISTS (SELECT 1 FROM settlement_members WHERE settlement_id = settlements.id AND paid_at IS NULL)`
+        )
+        .run(Date.now(), settlementId);
+      return r.changes > 0;
+    },
+    getLatestFinalizedPoll(groupId) {
+      return db
+        .prepare("SELECT * FROM polls WHERE group_id = ? AND status = 'closed' ORDER BY COALESCE(finalized_at, created_at) DESC LIMIT 1")
+        .get(groupId) || null;
+    },
+    setPollFollowUpState(pollId, state, actor = null) {
+      const from = pollField(pollId, 'follow_up_state');
       db.prepare('UPDATE polls SET follow_up_state = ? WHERE id = ?').run(state, pollId);
+      if (from !== state) logEvent(pollId, 'follow_up', actor, { from, to: state });
     },
     // Event/session state
     createSession({ groupId, title }) {
@@ -108,37 +899,72 @@ export function initDB() {
     },
     updateSessionCandidates({ sessionId, candidates }) {
       const del = db.prepare('DELETE FROM session_candidates WHERE session_id = ?');
-      const ins = db.prepare('INSERT INTO session_candidates (id, session_id, label, date) VALUES (?, ?, ?, ?)');
+      const ins = db.prepare(
+        'INSERT INTO session_candidates (id, session_id, label, date, start_time, end_time) VALUES (?, ?, ?, ?, ?, ?)'
+      );
       const tx = db.transaction(() => {
         del.run(sessionId);
         for (const c of candidates) {
-          ins.run(crypto.randomUUID(), sessionId, c.label || null, c.date);
+          ins.run(crypto.randomUUID(), sessionId, c.label || null, c.date, c.startTime || null, c.endTime || null);
         }
         db.prepare('UPDATE sessions SET updated_at = ? WHERE id = ?').run(Date.now(), sessionId);
       });
       tx();
     },
+    // Latest session of the group still waiting for dates, if it was active after `since`.
+    // Older open sessions are marked expired so they are never resumed.
+    getResumableSession(groupId, since) {
+      db.prepare("UPDATE sessions SET status = 'expired' WHERE group_id = ? AND status = 'open' AND updated_at < ?")
+        .run(groupId, since);
+      return db
+        .prepare("SELECT * FROM sessions WHERE group_id = ? AND status = 'open' ORDER BY updated_at DESC LIMIT 1")
+        .get(groupId) || null;
+    },
+    addSessionMessage({ sessionId, role, content, userId = null, userName = null }) {
+      const now = Date.now();
+      db.prepare(
+        'INSERT INTO session_messages (session_id, role, content, user_id, user_name, created_at) VALUES (?, ?, ?, ?, ?, ?)'
+      ).run(sessionId, role, content, userId, userName, now);
+      db.prepare('UPDATE sessions SET updated_at = ? WHERE id = ?').run(now, sessionId);
+    },
+    // Most recent `limit` turns, oldest first
+    getSessionMessages(sessionId, limit = 20) {
+      return db
+        .prepare('SELECT role, content, user_id, user_name, created_at FROM session_messages WHERE session_id = ? ORDER BY rowid DESC LIMIT ?')
+        .all(sessionId, limit)
+        .reverse();
+    },
     getSession(sessionId) {
       const s = db.prepare('SELECT * FROM sessions WHERE id = ?').get(sessionId);
       if (!s) return null;
       const cands = db.prepare('SELECT * FROM session_candidates WHERE session_id = ? ORDER BY rowid ASC').all(sessionId);
       return { session: s, candidates: cands };
     },
-    createPoll({ groupId, title, options }) {
+    // recurringRuleId/shopQuery: set for polls created from a recurring rule
+    createPoll({ groupId, title, options, createdBy = null, createdByName = null, recurringRuleId = null, shopQuery = null }) {
       const pollId = crypto.randomUUID();
       const now = Date.now();
       const insertPoll = db.prepare(
-        'INSERT INTO polls (id, group_id, title, created_at, status) VALUES (?, ?, ?, ?, ?)' 
+        `INSERT INTO polls (id, group_id, title, created_at, status, created_by, seq, recurring_rule_id, shop_query)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
       );
       const insertOpt = db.prepare(
-        'INSERT INTO options (id, poll_id, label, date) VALUES (?, ?, ?, ?)'
+        'INSERT INTO options (id, poll_id, label, date, start_time, end_time) VALUES (?, ?, ?, ?, ?, ?)'
       );
+      const nextSeq = db.prepare('SELECT COALESCE(MAX(seq), 0) + 1 AS n FROM polls WHERE group_id = ?');
       const tx = db.transaction(() => {
-        insertPoll.run(pollId, groupId, title, now, 'open');
+        insertPoll.run(pollId, groupId, title, now, 'open', createdBy || null, nextSeq.get(groupId).n, recurringRuleId, shopQuery);
+        const created = [];
         for (const opt of options) {
           const id = crypto.randomUUID();
-          insertOpt.run(id, pollId, opt.label, opt.date || null);
+          insertOpt.run(id, pollId, opt.label, opt.date || null, opt.startTime || null, opt.endTime || null);
+          created.push(optionSummary({ ...opt, id }));
         }
+        logEvent(pollId, 'created', createdBy ? { userId: createdBy, name: createdByName } : null, {
+          title,
+          options: created,
+          ...(recurringRuleId ? { recurringRuleId } : {}),
+        });
       });
       tx();
       return pollId;
@@ -146,16 +972,146 @@ export function initDB() {
     getPoll(pollId) {
       const poll = db.prepare('SELECT * FROM polls WHERE id = ?').get(pollId);
       if (!poll) return null;
+      // Chronological, so candidates added later still show up in date order
       const options = db
-        .prepare('SELECT * FROM options WHERE poll_id = ? ORDER BY rowid ASC')
+        .prepare("SELECT * FROM options WHERE poll_id = ? ORDER BY COALESCE(date, ''), COALESCE(start_time, ''), rowid ASC")
         .all(pollId);
       return { poll, options };
     },
-    setPollStatus(pollId, status) {
+    addPollOptions(pollId, options, actor = null) {
+      const ins = db.prepare(
+        'INSERT INTO options (id, poll_id, label, date, start_time, end_time) VALUES (?, ?, ?, ?, ?, ?)'
+      );
+      const ids = [];
+      const tx = db.transaction(() => {
+        for (const opt of options) {
+          const id = crypto.randomUUID();
+          ins.run(id, pollId, opt.label, opt.date || null, opt.startTime || null, opt.endTime || null);
+          ids.push(id);
+        }
+        logEvent(pollId, 'options_added', actor, { options: options.map((o, i) => optionSummary({ ...o, id: ids[i] })) });
+      });
+      tx();
+      return ids;
+    },
+    // Votes on removed options go with them (foreign keys are not enforced by this connection)
+    removePollOptions(pollId, optionIds, actor = null) {
+      const getOpt = db.prepare('SELECT * FROM options WHERE poll_id = ? AND id = ?');
+      const countVotes = db.prepare('SELECT COUNT(*) AS n FROM votes3 WHERE poll_id = ? AND option_id = ?');
+      const delVotes3 = db.prepare('DELETE FROM votes3 WHERE poll_id = ? AND option_id = ?');
+      const delVotes = db.prepare('DELETE FROM votes WHERE poll_id = ? AND option_id = ?');
+      const delOpt = db.prepare('DELETE FROM options WHERE poll_id = ? AND id = ?');
+      let removed = 0;
+      const tx = db.transaction(() => {
+        const gone = [];
+        for (const id of optionIds) {
+          const opt = getOpt.get(pollId, id);
+          if (!opt) continue;
+          gone.push({ ...optionSummary(opt), votes: countVotes.get(pollId, id).n });
+          delVotes3.run(pollId, id);
+          delVotes.run(pollId, id);
+          removed += delOpt.run(pollId, id).changes;
+        }
+        if (gone.length) logEvent(pollId, 'options_removed', actor, { options: gone });
+      });
+      tx();
+      return removed;
+    },
+    getPollRequiredMembers(pollId) {
+      return db
+        .prepare('SELECT user_id, name FROM poll_required_members WHERE poll_id = ? ORDER BY rowid ASC')
+        .all(pollId);
+    },
+    // members: [{ userId, name }] (either may be null, not both); replaces the current list
+    setPollRequiredMembers(pollId, members, actor = null) {
+      const del = db.prepare('DELETE FROM poll_required_members WHERE poll_id = ?');
+      const ins = db.prepare('INSERT INTO poll_required_members (poll_id, user_id, name, created_at) VALUES (?, ?, ?, ?)');
+      const tx = db.transaction(() => {
+        del.run(pollId);
+        const seen = new Set();
+        const now = Date.now();
+        for (const m of members) {
+          const key = m.userId || m.name;
+          if (!key || seen.has(key)) continue;
+          seen.add(key);
+          ins.run(pollId, m.userId || null, m.name || null, now);
+        }
+        logEvent(pollId, 'required_members', actor, { members: members.map((m) => m.name || m.userId).filter(Boolean) });
+      });
+      tx();
+    },
+    setPollStatus(pollId, status, actor = null) {
+      const from = pollField(pollId, 'status');
       db.prepare('UPDATE polls SET status = ? WHERE id = ?').run(status, pollId);
+      if (from !== status) logEvent(pollId, 'status', actor, { from, to: status });
     },
-    setPollDeadline(pollId, deadlineTs) {
+    setPollDeadline(pollId, deadlineTs, actor = null) {
+      const from = pollField(pollId, 'deadline');
       db.prepare('UPDATE polls SET deadline = ? WHERE id = ?').run(deadlineTs || null, pollId);
+      if ((from || null) !== (deadlineTs || null)) logEvent(pollId, 'deadline', actor, { from, to: deadlineTs || null });
+    },
+    countPollEvents(pollId, type) {
+      return db.prepare('SELECT COUNT(*) AS n FROM poll_events WHERE poll_id = ? AND type = ?').get(pollId, type).n;
+    },
+    // Oldest first; `after` (an event id) pages forward
+    getPollEvents(pollId, { after = 0, limit = 200 } = {}) {
+      return db
+        .prepare('SELECT * FROM poll_events WHERE poll_id = ? AND id > ? ORDER BY id ASC LIMIT ?')
+        .all(pollId, after, limit)
+        .map((e) => ({ ...e, data: e.data ? JSON.parse(e.data) : null }));
+    },
+    getPollBySeq(groupId, seq) {
+      return db.prepare('SELECT * FROM polls WHERE group_id = ? AND seq = ?').get(groupId, seq) || null;
+    },
+    // Polls still in progress: collecting answers, waiting for the final pick, or waiting for a shop request
+    listActivePollsForGroup(groupId) {
+      return db
+        .prepare(
+          "SELECT * FROM polls WHERE group_id = ? AND (status IN ('open', 'closing') OR follow_up_state = 'question_sent') ORDER BY created_at ASC"
+        )
+        .all(groupId);
+    },
+    // Finalized polls whose "お店はどうしますか？" question is still unanswered
+    listPollsAwaitingShop(groupId) {
+      return db
+        .prepare("SELECT * FROM polls WHERE group_id = ? AND follow_up_state = 'question_sent' ORDER BY created_at ASC")
+        .all(groupId);
+    },
+    listOpenPollsForGroup(groupId) {
+      return db
+        .prepare("SELECT * FROM polls WHERE group_id = ? AND status = 'open' ORDER BY created_at ASC")
+        .all(groupId);
+    },
+    markPollReminded(pollId) {
+      db.prepare('UPDATE polls SET reminders_sent = reminders_sent + 1, last_reminded_at = ? WHERE id = ?')
+        .run(Date.now(), pollId);
+    },
+    // Group settings
+    getGroupSettings(groupId) {
+      const row = db.prepare('SELECT settings FROM group_settings WHERE group_id = ?').get(groupId);
+      let saved = {};
+      try {
+        saved = row ? JSON.parse(row.settings) || {} : {};
+      } catch (_) {}
+      return { ...DEFAULT_GROUP_SETTINGS, ...saved };
+    },
+    updateGroupSettings(groupId, patch) {
+      const row = db.prepare('SELECT settings FROM group_settings WHERE group_id = ?').get(groupId);
+      let saved = {};
+      try {
+        saved = row ? JSON.parse(row.settings) || {} : {};
+      } catch (_) {}
+      const next = { ...saved, ...patch };
+      db.prepare(
+        `INSERT INTO group_settings (group_id, settings, updated_at) VALUES (?, ?, ?)
+         ON CONFLICT(group_id) DO UPDATE SET settings = excluded.settings, updated_at = excluded.updated_at`
+      ).run(groupId, JSON.stringify(next), Date.now());
+      return { ...DEFAULT_GROUP_SETTINGS, ...next };
+    },
+    listOpenPollsWithDeadline() {
+      return db
+        .prepare("SELECT * FROM polls WHERE status = 'open' AND deadline IS NOT NULL")
+        .all();
     },
     getPollTally(pollId) {
       const rows = db
@@ -173,7 +1129,7 @@ export function initDB() {
     getPollTally3(pollId) {
       const rows = db
         .prepare(
-          `SELECT o.id as option_id, o.label as label,
+          `SELECT o.id as option_id, o.label as label, o.start_time as start_time, o.end_time as end_time,
                   SUM(CASE WHEN v.choice = 2 THEN 1 ELSE 0 END) as yes_count,
                   SUM(CASE WHEN v.choice = 1 THEN 1 ELSE 0 END) as maybe_count,
                   SUM(CASE WHEN v.choice = 0 THEN 1 ELSE 0 END) as no_count
@@ -181,7 +1137,7 @@ export function initDB() {
            LEFT JOIN votes3 v ON v.option_id = o.id AND v.poll_id = o.poll_id
            WHERE o.poll_id = ?
            GROUP BY o.id
-           ORDER BY o.rowid ASC`
+           ORDER BY COALESCE(o.date, ''), COALESCE(o.start_time, ''), o.rowid ASC`
         )
         .all(pollId);
       return rows;
@@ -196,9 +1152,25 @@ export function initDB() {
         .prepare('SELECT option_id, choice FROM votes3 WHERE poll_id = ? AND user_id = ? AND option_id = ?')
         .get(pollId, userId, optionId) || null;
     },
+    getVotes3ForPoll(pollId) {
+      return db
+        .prepare('SELECT option_id, user_id, user_name, choice FROM votes3 WHERE poll_id = ? ORDER BY updated_at ASC')
+        .all(pollId);
+    },
+    getPollVoters(pollId) {
+      return db
+        .prepare('SELECT user_id, MAX(user_name) as user_name FROM votes3 WHERE poll_id = ? GROUP BY user_id ORDER BY MIN(updated_at) ASC')
+        .all(pollId);
+    },
     getAnswerCountsByUser(pollId) {
       return db
-        .prepare('SELECT user_id, COUNT(*) as cnt FROM votes3 WHERE poll_id = ? GROUP BY user_id')
+        .prepare(
+          `SELECT v.user_id, COUNT(*) as cnt
+           FROM votes3 v
+           JOIN options o ON o.id = v.option_id AND o.poll_id = v.poll_id
+           WHERE v.poll_id = ?
+           GROUP BY v.user_id`
+        )
         .all(pollId);
     },
     upsertVotes3({ pollId, userId, userName, choices }) {
@@ -208,6 +1180,8 @@ export function initDB() {
          VALUES (?, ?, ?, ?, ?, ?)
          ON CONFLICT(poll_id, option_id, user_id) DO UPDATE SET choice = excluded.choice, user_name = excluded.user_name, updated_at = excluded.updated_at`
       );
+      const current = db.prepare('SELECT choice FROM votes3 WHERE poll_id = ? AND option_id = ? AND user_id = ?');
+      const label = db.prepare('SELECT label, date, start_time FROM options WHERE id = ?');
       const tx = db.transaction(() => {
         const seen = new Set();
         for (const ch of choices) {
@@ -216,10 +1190,88 @@ export function initDB() {
           if (![0, 1, 2].includes(choice)) continue;
           if (seen.has(ch.optionId)) continue;
           seen.add(ch.optionId);
+          const before = current.get(pollId, ch.optionId, userId);
           stmt.run(pollId, ch.optionId, userId, userName || null, choice, now);
+          // Only real changes go to the history (re-saving the same answers is not an event)
+          if (!before || Number(before.choice) !== choice) {
+            const opt = label.get(ch.optionId);
+            logEvent(pollId, 'vote', { userId, name: userName }, {
+              optionId: ch.optionId,
+              label: opt?.label || null,
+              date: opt?.date || null,
+              startTime: opt?.start_time || null,
+              from: before ? Number(before.choice) : null,
+              to: choice,
+            });
+          }
+        }
+      });
+      tx();
+    },
+    // Scheduler jobs
+    // A job with a key replaces any pending job with the same key (e.g. one deadline job per poll).
+    scheduleJob({ type, runAt, payload, key }) {
+      const id = crypto.randomUUID();
+      const now = Date.now();
+      const tx = db.transaction(() => {
+        if (key) {
+          db.prepare("UPDATE jobs SET status = 'cancelled', updated_at = ? WHERE job_key = ? AND status = 'pending'")
+            .run(now, key);
         }
+        db.prepare(
+          `INSERT INTO jobs (id, type, job_key, payload, run_at, status, attempts, created_at, updated_at)
+           VALUES (?, ?, ?, ?, ?, 'pending', 0, ?, ?)`
+        ).run(id, type, key || null, JSON.stringify(payload ?? null), runAt, now, now);
       });
       tx();
+      return id;
+    },
+    cancelJobs(key) {
+      return db
+        .prepare("UPDATE jobs SET status = 'cancelled', updated_at = ? WHERE job_key = ? AND status = 'pending'")
+        .run(Date.now(), key).changes;
+    },
+    cancelJobsByPrefix(prefix) {
+      return db
+        .prepare("UPDATE jobs SET status = 'cancelled', updated_at = ? WHERE job_key LIKE ? ESCAPE '\\' AND status = 'pending'")
+        .run(Date.now(), prefix.replace(/[\\%_]/g, (c) => `\\${c}`) + '%').changes;
+    },
+    getPendingJob(key) {
+      return db
+        .prepare("SELECT * FROM jobs WHERE job_key = ? AND status = 'pending' ORDER BY run_at ASC LIMIT 1")
+        .get(key) || null;
+    },
+    getDueJobs(now, limit = 20) {
+      return db
+        .prepare("SELECT * FROM jobs WHERE status = 'pending' AND run_at <= ? ORDER BY run_at ASC LIMIT ?")
+        .all(now, limit);
+    },
+    // Returns true only for the caller that moved the job from pending to running
+    claimJob(jobId) {
+      const r = db
+        .prepare("UPDATE jobs SET status = 'running', attempts = attempts + 1, updated_at = ? WHERE id = ? AND status = 'pending'")
+        .run(Date.now(), jobId);
+      return r.changes === 1;
+    },
+    completeJob(jobId) {
+      db.prepare("UPDATE jobs SET status = 'done', last_error = NULL, updated_at = ? WHERE id = ?").run(Date.now(), jobId);
+    },
+    // retryAt: reschedule as pending at that time; null marks the job failed for good
+    failJob(jobId, error, retryAt = null) {
+      const now = Date.now();
+      if (retryAt != null) {
+        db.prepare("UPDATE jobs SET status = 'pending', run_at = ?, last_error = ?, updated_at = ? WHERE id = ?")
+          .run(retryAt, String(error || ''), now, jobId);
+      } else {
+        db.prepare("UPDATE jobs SET status = 'failed', last_error = ?, updated_at = ? WHERE id = ?")
+          .run(String(error || ''), now, jobId);
+      }
+    },
+    // Jobs left 'running' by a crash/restart are picked up again
+    resetRunningJobs() {
+      return db
+        .prepare("UPDATE jobs SET status = 'pending', updated_at = ? WHERE status = 'running'")
+        .run(Date.now()).changes;
     },
     voteSingle({ pollId, optionId, userId, userName }) {
       const now = Date.now();
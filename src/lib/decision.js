@@ -0,0 +1,143 @@
+// Decision engine for choosing the final date of a poll.
+// Ranks options under the group's rules and explains each one (who can't come, why a date is out).
+//
+// Rules (from group settings):
+// - decisionStrategy: 'count'   -> ○ count, then △, then fewer × (the original behaviour)
+//                     'weighted' -> score = ○*yes + △*maybe - ×*no (decisionWeights)
+// - mustAttend: user IDs or display names (plus the poll's own required members); a × from any of them
+//               disqualifies the date
+// - minHeadcount: dates with fewer ○ than this are disqualified
+// - tieBreakEarliest: among equal ranks prefer the earlier date/time
+import { findMemberByName } from './warikan.js';
+
+export const DECISION_STRATEGIES = ['count', 'weighted'];
+export const DEFAULT_DECISION_WEIGHTS = { yes: 2, maybe: 1, no: 0 };
+
+const LINE_USER_ID = /^U[0-9a-f]{32}$/;
+
+// Settings entries are plain strings; required members of a poll are { userId, name } rows
+function toMember(entry) {
+  if (typeof entry === 'string') return LINE_USER_ID.test(entry) ? { userId: entry, name: null } : { userId: null, name: entry };
+  return { userId: entry.userId || entry.user_id || null, name: entry.name || null };
+}
+
+export function rulesFromSettings(settings = {}, requiredMembers = []) {
+  const members = [...(Array.isArray(settings.mustAttend) ? settings.mustAttend : []), ...requiredMembers].map(toMember);
+  const seen = new Set();
+  return {
+    strategy: DECISION_STRATEGIES.includes(settings.decisionStrategy) ? settings.decisionStrategy : 'count',
+    weights: { ...DEFAULT_DECISION_WEIGHTS, ...(settings.decisionWeights || {}) },
+    mustAttend: members.filter((m) => {
+      const key = m.userId || m.name;
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    }),
+    minHeadcount: Number(settings.minHeadcount) > 0 ? Number(settings.minHeadcount) : null,
+    tieBreakEarliest: settings.tieBreakEarliest !== false,
+  };
+}
+
+// Name-only members (typed names, settings entries) -> the voter they refer to, matched like names in 会計:
+// the exact display name (ignoring さん etc.) first, then a display name starting with it.
+// Members no voter matches keep userId null and count as not answered.
+export function resolveMembers(members, votes) {
+  const voters = [];
+  for (const v of votes) {
+    if (v.user_name && !voters.some((x) => x.userId === v.user_id)) voters.push({ userId: v.user_id, name: v.user_name });
+  }
+  return members.map((m) => (m.userId || !m.name ? m : { ...m, userId: findMemberByName(voters, m.name)?.userId || null }));
+}
+
+function matchesMember(vote, member) {
+  return !!member.userId && vote.user_id === member.userId;
+}
+
+// options: rows of `options`; votes: rows of votes3 (option_id, user_id, user_name, choice)
+export function rankOptions({ options, votes, rules }) {
+  const r = rules || rulesFromSettings();
+  const mustAttend = resolveMembers(r.mustAttend, votes);
+  const byOption = new Map(options.map((o) => [o.id, []]));
+  for (const v of votes) byOption.get(v.option_id)?.push(v);
+
+  const items = options.map((option, index) => {
+    const list = byOption.get(option.id) || [];
+    const yes = list.filter((v) => Number(v.choice) === 2).length;
+    const maybe = list.filter((v) => Number(v.choice) === 1).length;
+    const no = list.filter((v) => Number(v.choice) === 0).length;
+    const absentees = list.filter((v) => Number(v.choice) === 0).map((v) => v.user_name || '名前未設定');
+    const notes = [];
+    let disqualified = false;
+
+    for (const member of mustAttend) {
+      const vote = list.find((v) => matchesMember(v, member));
+      const name = vote?.user_name || member.name || '名前不明';
+      if (vote && Number(vote.choice) === 0) {
+        disqualified = true;
+        notes.push(`必須メンバー ${name} さんが×`);
+      } else if (!vote) {
+        notes.push(`必須メンバー ${name} さんが未回答`);
+      }
+    }
+    if (r.minHeadcount && yes < r.minHeadcount) {
+      disqualified = true;
+      notes.push(`○が${yes}人（最低${r.minHeadcount}人）`);
+    }
+
+    const score = r.strategy === 'weighted'
+      ? yes * r.weights.yes + maybe * r.weights.maybe - no * r.weights.no
+      : null;
+    return { option, index, yes, maybe, no, score, disqualified, notes, absentees };
+  });
+
+  const timeKey = (o) => `${o.date || ''} ${o.start_time || ''}`;
+  items.sort((a, b) => {
+    if (a.disqualified !== b.disqualified) return a.disqualified ? 1 : -1;
+    if (r.strategy === 'weighted') {
+      if (b.score !== a.score) return b.score - a.score;
+    } else {
+      if (b.yes !== a.yes) return b.yes - a.yes;
+      if (b.maybe !== a.maybe) return b.maybe - a.maybe;
+      if (a.no !== b.no) return a.no - b.no;
+    }
+    if (r.tieBreakEarliest) {
+      const ka = timeKey(a.option);
+      const kb = timeKey(b.option);
+      if (ka !== kb) return ka < kb ? -1 : 1;
+    }
+    return a.index - b.index;
+  });
+  return items;
+}
+
+// One-line human description of the active rules, shown above the finalize carousel
+export function describeRules(rules) {
+  const parts = [];
+  if (rules.strategy === 'weighted') {
+    const { yes, maybe, no } = rules.weights;
+    parts.push(`重み付け（○${yes}/△${maybe}${no ? `/×-${no}` : ''}）`);
+  } else {
+    parts.push('○の多い順');
+  }
+  if (rules.mustAttend.length) {
+    const named = rules.mustAttend.map((m) => m.name).filter(Boolean);
+    parts.push(named.length === rules.mustAttend.length ? `必須: ${named.join('、')}` : `必須メンバー${rules.mustAttend.length}名`);
+  }
+  if (rules.minHeadcount) parts.push(`最低${rules.minHeadcount}人`);
+  if (rules.tieBreakEarliest) parts.push('同点は早い日程を優先');
+  const lines = [`判定ルール: ${parts.join('・')}`];
+  // Set by decidePoll: typed names that matched no voter (a typo, or the member has not answered yet)
+  if (rules.unmatched?.length) {
+    lines.push(`※必須メンバーの「${rules.unmatched.join('」「')}」さんに一致する回答者がいません。名前を確認してください。`);
+  }
+  return lines.join('\n');
+}
+
+// Convenience for handlers: rank a poll with its group's rules and its own required members
+export function decidePoll(db, { poll, options }) {
+  const required = db.getPollRequiredMembers(poll.id);
+  const rules = rulesFromSettings(db.getGroupSettings(poll.group_id), required);
+  const votes = db.getVotes3ForPoll(poll.id);
+  rules.unmatched = resolveMembers(rules.mustAttend, votes).filter((m) => !m.userId).map((m) => m.name);
+  return { rules, ranked: rankOptions({ options, votes, rules }) };
+}
@@ -1,14 +1,40 @@
+import { formatDateJa } from './time.js';
+import { describeShare, formatYen } from './warikan.js';
+
 const LIFF_ID = process.env.LIFF_ID || '';
 const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL || '';
 
-export function buildPollFlex({ pollId, title, options }) {
-  const altText = `日程投票: ${title}`;
+// "19:00〜22:00" / "19:00〜" / '' for date-only options (accepts DB rows or camelCase objects)
+export function formatTimeRange(opt) {
+  const start = opt?.start_time ?? opt?.startTime ?? null;
+  const end = opt?.end_time ?? opt?.endTime ?? null;
+  if (!start) return '';
+  return end ? `${start}〜${end}` : `${start}〜`;
+}
+
+export function formatOptionLabel(opt) {
+  const range = formatTimeRange(opt);
+  return range ? `${opt.label} ${range}` : opt.label;
+}
+
+// "11/6(金) 19:00〜" for a finalized poll; '' while no date is fixed
+export function formatFinalizedLabel(poll) {
+  if (!poll?.finalized_date) return '';
+  return formatOptionLabel({ label: formatDateJa(poll.finalized_date), start_time: poll.finalized_start_time, end_time: poll.finalized_end_time });
+}
+
+export function pollFormUrl(pollId) {
   // Simpler path: if PUBLIC_BASE_URL is set, link directly to the endpoint to avoid LIFF two-step redirect complexity.
   const directUrl = PUBLIC_BASE_URL
     ? `${PUBLIC_BASE_URL.replace(/\/$/, '')}/liff/index.html?pollId=${encodeURIComponent(pollId)}`
     : null;
   const liffUrl = LIFF_ID ? `https://liff.line.me/${LIFF_ID}?pollId=${encodeURIComponent(pollId)}` : null;
-  const formUrl = directUrl || liffUrl;
+  return directUrl || liffUrl;
+}
+
+export function buildPollFlex({ pollId, title, options, requiredNames = [] }) {
+  const altText = `日程投票: ${title}`;
+  const formUrl = pollFormUrl(pollId);
   const contents = {
     type: 'bubble',
     header: {
@@ -31,8 +57,14 @@ export function buildPollFlex({ pollId, title, options }) {
           contents: [
             { type: 'text', text: '・', size: 'sm', color: '#666666', flex: 0 },
             { type: 'text', text: opt.label, size: 'sm', wrap: true, flex: 1 },
+            ...(formatTimeRange(opt)
+              ? [{ type: 'text', text: formatTimeRange(opt), size: 'sm', color: '#666666', align: 'end', flex: 0 }]
+              : []),
           ],
         })),
+        ...(requiredNames.length
+          ? [{ type: 'text', text: `必須参加: ${requiredNames.map((n) => `${n}さん`).join('、')}`, size: 'xs', color: '#d32f2f', wrap: true, margin: 'md' }]
+          : []),
         { type: 'separator', margin: 'md' },
         { type: 'text', text: '投票は「フォームで回答」から行ってください。', size: 'xs', color: '#888888', wrap: true },
       ],
@@ -74,6 +106,7 @@ export function buildPollFlex({ pollId, title, options }) {
   };
 }
 
+// Shops saved as vote candidates carry candidateId and get a "ここに投票" button
 export function buildShopCarousel(recommendations, { altText = 'お店の候補' } = {}) {
   if (!recommendations || !recommendations.length) {
     return { type: 'text', text: 'すみません、条件に合うお店が見つかりませんでした。' };
@@ -141,6 +174,15 @@ export function buildShopCarousel(recommendations, { altText = 'お店の候補'
         layout: 'vertical',
         spacing: 'sm',
         contents: [
+          ...(shop.candidateId
+            ? [{
+                type: 'button',
+                style: 'primary',
+                color: '#00c300',
+                height: 'sm',
+                action: { type: 'postback', label: 'ここに投票', data: `shopvote:${shop.candidateId}`, displayText: `「${shop.name}」に投票` }
+              }]
+            : []),
           {
             type: 'button',
             style: 'link',
@@ -161,4 +203,342 @@ export function buildShopCarousel(recommendations, { altText = 'お店の候補'
       contents: bubbles,
     },
   };
-}
\ No newline at end of file
+}
+// Public URL of the .ics export, or null when PUBLIC_BASE_URL is not configured (LINE needs an absolute URL).
+// openExternalBrowser makes LINE hand the file to the OS browser, which offers to add it to the calendar.
+export function eventIcsUrl(pollId) {
+  if (!PUBLIC_BASE_URL) return null;
+  return `${PUBLIC_BASE_URL.replace(/\/$/, '')}/api/polls/${encodeURIComponent(pollId)}/event.ics?openExternalBrowser=1`;
+}
+
+// Subscription URL of a group's calendar feed (see calendar_feeds), or null without PUBLIC_BASE_URL
+export function calendarFeedUrl(token) {
+  if (!PUBLIC_BASE_URL) return null;
+  return `${PUBLIC_BASE_URL.replace(/\/$/, '')}/api/calendars/${encodeURIComponent(token)}.ics`;
+}
+
+// Finalized date with the 参加/不参加 confirmation buttons (the RSVP round) and, when the .ics export is
+// reachable, an "add to calendar" button
+export function buildFinalizedFlex({ pollId, title, when }) {
+  const icsUrl = eventIcsUrl(pollId);
+  const text = `「${title}」は ${when} に確定しました。参加できるか最終確認をお願いします。`;
+  const footer = [
+    {
+      type: 'box',
+      layout: 'horizontal',
+      spacing: 'sm',
+      contents: [
+        { type: 'button', style: 'primary', color: '#00c300', height: 'sm', action: { type: 'postback', label: '参加する', data: `rsvp:${pollId}:yes`, displayText: '参加します' } },
+        { type: 'button', style: 'secondary', height: 'sm', action: { type: 'postback', label: '不参加', data: `rsvp:${pollId}:no`, displayText: '不参加です' } },
+      ],
+    },
+  ];
+  if (icsUrl) {
+    footer.push({ type: 'button', style: 'link', height: 'sm', action: { type: 'uri', label: 'カレンダーに追加', uri: icsUrl } });
+  }
+  return {
+    type: 'flex',
+    altText: text,
+    contents: {
+      type: 'bubble',
+      body: {
+        type: 'box',
+        layout: 'vertical',
+        spacing: 'sm',
+        contents: [
+          { type: 'text', text: '日程が確定しました', weight: 'bold', size: 'sm', color: '#00c300' },
+          { type: 'text', text: title, weight: 'bold', size: 'md', wrap: true },
+          { type: 'text', text: when, size: 'md', wrap: true },
+          { type: 'text', text: '参加できるか、下のボタンで最終確認をお願いします。', size: 'xs', color: '#666666', wrap: true },
+        ],
+      },
+      footer: { type: 'box', layout: 'vertical', spacing: 'sm', contents: footer },
+    },
+  };
+}
+
+const SETTLEMENT_MAX_ROWS = 30; // keeps the bubble well under LINE's size limit
+
+// Per-person breakdown of a bill split (warikan.js) with each member's payment status,
+// a "支払い済みにする" button while someone is unpaid, and a link back to the poll.
+// settlement: { id, total, unit, mode, collected, completed_at, rows: [{ name, share, paidAt, ... }] }; when: finalized date label.
+export function buildSettlementFlex({ pollId, title, when, settlement }) {
+  const { total, unit, collected, rows } = settlement;
+  const paidCount = rows.filter((r) => r.paidAt).length;
+  const diff = collected - total;
+  const formUrl = pollFormUrl(pollId);
+  const line = (label, value, extra = {}, status = null) => ({
+    type: 'box',
+    layout: 'horizontal',
+    contents: [
+      { type: 'text', text: label, size: 'sm', color: '#555555', flex: 5, wrap: true },
+      { type: 'text', text: value, size: 'sm', align: 'end', flex: 3, ...extra },
+      ...(status ? [status] : []),
+    ],
+  });
+  const memberRows = rows.slice(0, SETTLEMENT_MAX_ROWS).map((r) => {
+    const note = describeShare(r);
+    const status = r.paidAt
+      ? { type: 'text', text: '済', size: 'xs', align: 'end', flex: 1, color: '#00c300', weight: 'bold', gravity: 'center' }
+      : { type: 'text', text: '未', size: 'xs', align: 'end', flex: 1, color: '#aaaaaa', gravity: 'center' };
+    return line(note ? `${r.name}（${note}）` : r.name, formatYen(r.share), { weight: 'bold', color: '#111111' }, status);
+  });
+  if (rows.length > SETTLEMENT_MAX_ROWS) {
+    memberRows.push({ type: 'text', text: `ほか${rows.length - SETTLEMENT_MAX_ROWS}名`, size: 'xs', color: '#888888' });
+  }
+  const summary = [
+    line('合計', formatYen(total)),
+    line('人数', `${rows.length}人`),
+    line('端数', unit > 1 ? `${unit}円単位で${settlement.mode === 'down' ? '切り捨て' : '切り上げ'}` : 'なし'),
+    line('支払い', settlement.completed_at ? '全員済み' : `${paidCount}/${rows.length}人済み`),
+  ];
+  const buttons = [];
+  if (!settlement.completed_at) {
+    buttons.push({
+      type: 'button',
+      style: 'primary',
+      color: '#00c300',
+      height: 'sm',
+      action: { type: 'postback', label: '支払い済みにする', data: `paid:${settlement.id}`, displayText: '支払いました' },
+    });
+  }
+  if (formUrl) {
+    buttons.push({ type: 'button', style: 'link', height: 'sm', action: { type: 'uri', label: '投票を見る', uri: formUrl } });
+  }
+  const footnote = diff > 0
+    ? `集金額 ${formatYen(collected)}（${formatYen(diff)} は幹事預かり）`
+    : diff < 0
+      ? `集金額 ${formatYen(collected)}（${formatYen(-diff)} は幹事負担）`
+      : `集金額 ${formatYen(collected)}（過不足なし）`;
+  return {
+    type: 'flex',
+    altText: `お会計: ${title} 合計${formatYen(total)}`,
+    contents: {
+      type: 'bubble',
+      header: {
+        type: 'box',
+        layout: 'vertical',
+        contents: [
+          { type: 'text', text: 'お会計', weight: 'bold', size: 'sm', color: '#aaaaaa' },
+          { type: 'text', text: title, weight: 'bold', size: 'md', wrap: true },
+          ...(when ? [{ type: 'text', text: when, size: 'sm', color: '#666666', wrap: true }] : []),
+        ],
+      },
+      body: {
+        type: 'box',
+        layout: 'vertical',
+        spacing: 'sm',
+        contents: [
+          ...summary,
+          { type: 'separator', margin: 'md' },
+          ...memberRows,
+          { type: 'separator', margin: 'md' },
+          { type: 'text', text: footnote, size: 'xs', color: '#666666', wrap: true },
+        ],
+      },
+      ...(buttons.length ? { footer: { type: 'box', layout: 'vertical', spacing: 'sm', contents: buttons } } : {}),
+    },
+  };
+}
+
+// Per-person budget of the shop search (polls.shop_budget JSON), or null when unknown
+function formatBudget(shopBudget) {
+  const budget = shopBudget ? JSON.parse(shopBudget) : null;
+  const yen = (n) => `${Number(n).toLocaleString('ja-JP')}円`;
+  if (budget?.min_yen && budget?.max_yen) return `お一人様 ${yen(budget.min_yen)}〜${yen(budget.max_yen)}程度`;
+  if (budget?.max_yen) return `お一人様 ${yen(budget.max_yen)}以内`;
+  if (budget?.min_yen) return `お一人様 ${yen(budget.min_yen)}程度から`;
+  return null;
+}
+
+// Text to read out on the phone or paste into the shop's web form.
+// poll: polls row with finalized_* and shop_request/shop_budget from the search; headcount: expected attendees
+function reservationMessage(poll, headcount) {
+  const budgetText = formatBudget(poll.shop_budget);
+  return [
+    `【予約のお願い】${poll.venue_name} 御中`,
+    `日時: ${formatFinalizedLabel(poll)}`,
+    `人数: ${headcount ? `${headcount}名` : '未定'}`,
+    budgetText ? `予算: ${budgetText}` : null,
+    /個室/.test(poll.shop_request || '') ? 'ご要望: 個室を希望します' : null,
+    '上記の内容で予約は可能でしょうか。よろしくお願いいたします。',
+  ].filter(Boolean).join('\n');
+}
+
+// Reservation kit for the decided venue: call / website / map buttons, the pre-written request to copy,
+// and "予約完了" (cmd:reserved) until someone records the booking.
+export function buildReservationFlex({ poll, title, headcount }) {
+  const message = reservationMessage(poll, headcount);
+  const reserved = poll.reservation_status === 'reserved';
+  const phone = (poll.venue_phone || '').replace(/[^\d+]/g, '');
+  const buttons = [];
+  if (!reserved) {
+    buttons.push({
+      type: 'button',
+      style: 'primary',
+      color: '#00c300',
+      height: 'sm',
+      action: { type: 'postback', label: '予約完了', data: `cmd:reserved:${poll.id}`, displayText: '予約しました' },
+    });
+  }
+  if (phone) {
+    buttons.push({ type: 'button', style: 'secondary', height: 'sm', action: { type: 'uri', label: `電話する（${poll.venue_phone}）`.slice(0, 40), uri: `tel:${phone}` } });
+  }
+  buttons.push({ type: 'button', style: 'secondary', height: 'sm', action: { type: 'clipboard', label: '予約メッセージをコピー', clipboardText: message } });
+  if (poll.venue_website) {
+    buttons.push({ type: 'button', style: 'link', height: 'sm', action: { type: 'uri', label: 'お店のウェブサイト', uri: poll.venue_website } });
+  }
+  if (poll.venue_url && poll.venue_url !== poll.venue_website) {
+    buttons.push({ type: 'button', style: 'link', height: 'sm', action: { type: 'uri', label: 'Googleマップで見る', uri: poll.venue_url } });
+  }
+  const status = reserved
+    ? `予約済み${poll.reservation_name ? `（予約名: ${poll.reservation_name}）` : ''}`
+    : '未予約';
+  return {
+    type: 'flex',
+    altText: `予約の準備: ${poll.venue_name}（${title}）`,
+    contents: {
+      type: 'bubble',
+      header: {
+        type: 'box',
+        layout: 'vertical',
+        contents: [
+          { type: 'text', text: 'お店の予約', weight: 'bold', size: 'sm', color: '#aaaaaa' },
+          { type: 'text', text: poll.venue_name, weight: 'bold', size: 'md', wrap: true },
+          { type: 'text', text: title, size: 'sm', color: '#666666', wrap: true },
+        ],
+      },
+      body: {
+        type: 'box',
+        layout: 'vertical',
+        spacing: 'sm',
+        contents: [
+          { type: 'text', text: status, size: 'sm', weight: 'bold', color: reserved ? '#00c300' : '#d32f2f', wrap: true },
+          ...(poll.venue_address ? [{ type: 'text', text: poll.venue_address, size: 'xs', color: '#666666', wrap: true }] : []),
+          { type: 'separator', margin: 'md' },
+          { type: 'text', text: message, size: 'xs', color: '#333333', wrap: true, margin: 'md' },
+        ],
+      },
+      footer: { type: 'box', layout: 'vertical', spacing: 'sm', contents: buttons },
+    },
+  };
+}
+
+const SUMMARY_MAX_NAMES = 20;
+
+// Everything about a finalized event in one card: date, venue (photo, address, map), attendees, budget,
+// reservation and payment status. Built from the current database state each time it is posted.
+// attendees: db.getPollAttendees(); settlement: db.getLatestSettlement() or null
+export function buildEventSummaryFlex({ poll, title, attendees, settlement }) {
+  const formUrl = pollFormUrl(poll.id);
+  const row = (label, value, extra = {}) => ({
+    type: 'box',
+    layout: 'baseline',
+    spacing: 'sm',
+    contents: [
+      { type: 'text', text: label, size: 'sm', color: '#aaaaaa', flex: 2 },
+      { type: 'text', text: value, size: 'sm', color: '#333333', flex: 5, wrap: true, ...extra },
+    ],
+  });
+  const names = attendees.slice(0, SUMMARY_MAX_NAMES).map((a) => a.name || '名前未設定').join('、');
+  const more = attendees.length > SUMMARY_MAX_NAMES ? ` ほか${attendees.length - SUMMARY_MAX_NAMES}人` : '';
+  const reserved = poll.reservation_status === 'reserved';
+  let payment = '未登録';
+  if (settlement) {
+    const paid = settlement.rows.filter((r) => r.paidAt).length;
+    payment = settlement.completed_at
+      ? `合計 ${formatYen(settlement.total)}・全員支払い済み`
+      : `合計 ${formatYen(settlement.total)}・支払い ${paid}/${settlement.rows.length}人`;
+  }
+  const rows = [
+    row('日時', formatFinalizedLabel(poll) || '未定', { weight: 'bold' }),
+    row('お店', poll.venue_name || '未定', poll.venue_name ? { weight: 'bold' } : { color: '#aaaaaa' }),
+    ...(poll.venue_address ? [row('住所', poll.venue_address, { size: 'xs', color: '#666666' })] : []),
+    row('参加', `${attendees.length}人${names ? `（${names}${more}）` : ''}`),
+    row('予算', formatBudget(poll.shop_budget) || '未定'),
+    row('予約', poll.venue_name
+      ? reserved ? `予約済み${poll.reservation_name ? `（${poll.reservation_name}）` : ''}` : '未予約'
+      : '-', reserved ? { color: '#00c300' } : {}),
+    row('会計', payment, settlement?.completed_at ? { color: '#00c300' } : {}),
+  ];
+  const buttons = [];
+  if (poll.venue_url) {
+    buttons.push({ type: 'button', style: 'link', height: 'sm', action: { type: 'uri', label: '地図を見る', uri: poll.venue_url } });
+  }
+  if (poll.venue_name && !reserved) {
+    buttons.push({ type: 'button', style: 'link', height: 'sm', action: { type: 'postback', label: '予約の準備', data: `cmd:reservation:${poll.id}`, displayText: '予約' } });
+  }
+  if (formUrl) {
+    buttons.push({ type: 'button', style: 'link', height: 'sm', action: { type: 'uri', label: '投票を見る', uri: formUrl } });
+  }
+  return {
+    type: 'flex',
+    altText: `イベント概要: ${title}（${formatFinalizedLabel(poll) || '日程未定'}）`,
+    contents: {
+      type: 'bubble',
+      ...(poll.venue_image_url
+        ? {
+            hero: {
+              type: 'image',
+              url: poll.venue_image_url,
+              size: 'full',
+              aspectRatio: '20:13',
+              aspectMode: 'cover',
+              ...(poll.venue_url ? { action: { type: 'uri', uri: poll.venue_url } } : {}),
+            },
+          }
+        : {}),
+      header: {
+        type: 'box',
+        layout: 'vertical',
+        contents: [
+          { type: 'text', text: 'イベント概要', weight: 'bold', size: 'sm', color: '#aaaaaa' },
+          { type: 'text', text: title, weight: 'bold', size: 'lg', wrap: true },
+        ],
+      },
+      body: { type: 'box', layout: 'vertical', spacing: 'sm', contents: rows },
+      ...(buttons.length ? { footer: { type: 'box', layout: 'vertical', spacing: 'sm', contents: buttons } } : {}),
+    },
+  };
+}
+
+// Ranked candidates with "この日にする" buttons (shown when a poll is closed manually or at its deadline).
+// ranked: output of rankOptions() in decision.js, best first; disqualified dates come last and are greyed out.
+export function buildFinalizeCarousel({ pollId, title, ranked }) {
+  const bubbles = ranked.slice(0, 10).map((item) => {
+    const { option: opt } = item;
+    const explain = [];
+    if (item.absentees.length) {
+      explain.push({ type: 'text', text: `来られない: ${item.absentees.join('、')}`, size: 'xs', color: '#666666', wrap: true });
+    }
+    for (const note of item.notes) {
+      explain.push({ type: 'text', text: `⚠ ${note}`, size: 'xs', color: '#d32f2f', wrap: true });
+    }
+    return {
+      type: 'bubble',
+      body: {
+        type: 'box',
+        layout: 'vertical',
+        spacing: 'sm',
+        contents: [
+          { type: 'text', text: item.disqualified ? `${title || '候補日'}（候補外）` : (title || '候補日'), weight: 'bold', size: 'sm', color: '#888888', wrap: true },
+          { type: 'text', text: formatOptionLabel(opt), weight: 'bold', size: 'md', wrap: true },
+          { type: 'text', text: `○${item.yes} / △${item.maybe} / ×${item.no}${item.score != null ? `（${item.score}点）` : ''}`, size: 'sm', color: '#666666' },
+          ...explain,
+        ],
+      },
+      footer: {
+        type: 'box', layout: 'vertical', contents: [
+          {
+            type: 'button',
+            style: item.disqualified ? 'secondary' : 'primary',
+            height: 'sm',
+            ...(item.disqualified ? {} : { color: '#00c300' }),
+            action: { type: 'postback', label: 'この日にする', data: `finalize:${pollId}:${opt.id}` },
+          }
+        ]
+      }
+    };
+  });
+  return { type: 'flex', altText: '候補日の選択', contents: { type: 'carousel', contents: bubbles.length ? bubbles : [{ type: 'bubble', body: { type: 'box', layout:'vertical', contents: [{ type: 'text', text: '候補がありません' }] } }] } };
+}
@@ -0,0 +1,98 @@
+// iCalendar (RFC 5545) export of a finalized poll, so members can add the event to their calendars.
+import dayjs from 'dayjs';
+import { TZ, slotRange } from './time.js';
+
+const PRODID = '-//kansuke//LINE scheduling bot//JA';
+
+// TEXT values: backslash, semicolon, comma and newlines must be escaped
+function escapeText(v) {
+  return String(v ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets are folded (CRLF + space); never split a UTF-8 character
+function foldLine(line) {
+  const out = [];
+  let current = '';
+  let bytes = 0;
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch);
+    if (bytes + size > (out.length ? 74 : 75)) {
+      out.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += ch;
+    bytes += size;
+  }
+  out.push(current);
+  return out.join('\r\n ');
+}
+
+const utcStamp = (d) => d.utc().format('YYYYMMDD[T]HHmmss[Z]');
+
+// Start/end properties for the finalized slot: timed (UTC) when a time was chosen, otherwise an all-day event
+function eventTimes(poll) {
+  const { start, end, allDay } = slotRange(poll.finalized_date, poll.finalized_start_time, poll.finalized_end_time);
+  if (allDay) return [`DTSTART;VALUE=DATE:${start.format('YYYYMMDD')}`, `DTEND;VALUE=DATE:${end.format('YYYYMMDD')}`];
+  return [`DTSTART:${utcStamp(start)}`, `DTEND:${utcStamp(end)}`];
+}
+
+// VEVENT lines for one finalized poll.
+// sequence: bumped on every re-schedule so subscribed calendars replace the old time.
+// A poll cancelled after it was finalized stays in feeds as STATUS:CANCELLED, so calendars drop it.
+function eventLines(poll, { formUrl = null, now = dayjs(), sequence = 0 } = {}) {
+  const location = [poll.venue_name, poll.venue_address].filter(Boolean).join(', ');
+  const description = [
+    poll.venue_name ? `お店: ${poll.venue_name}` : null,
+    poll.venue_address ? `住所: ${poll.venue_address}` : null,
+    poll.venue_url ? `地図: ${poll.venue_url}` : null,
+    formUrl ? `投票: ${formUrl}` : null,
+  ].filter(Boolean).join('\n');
+  return [
+    'BEGIN:VEVENT',
+    `UID:${poll.id}@kansuke`,
+    `DTSTAMP:${utcStamp(now)}`,
+    ...(poll.finalized_at ? [`LAST-MODIFIED:${utcStamp(dayjs(Number(poll.finalized_at)))}`] : []),
+    `SEQUENCE:${sequence}`,
+    ...eventTimes(poll),
+    `SUMMARY:${escapeText(poll.title)}`,
+    `STATUS:${poll.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+    ...(location ? [`LOCATION:${escapeText(location)}`] : []),
+    ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+    ...(poll.venue_url ? [`URL:${poll.venue_url}`] : []),
+    'END:VEVENT',
+  ];
+}
+
+function calendar(lines, extraHeaders = []) {
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    ...extraHeaders,
+    ...lines,
+    'END:VCALENDAR',
+  ].map(foldLine).join('\r\n') + '\r\n';
+}
+
+// poll: polls row with finalized_date (and optional times / venue_*); formUrl: link back to the poll, if any
+export function buildPollIcs(poll, { formUrl = null, now = dayjs(), sequence = 0 } = {}) {
+  return calendar(eventLines(poll, { formUrl, now, sequence }));
+}
+
+// Subscription feed for a group. entries: [{ poll, formUrl, sequence }]
+export function buildGroupCalendarIcs(entries, { name = 'かんすけ（グループの予定）', now = dayjs() } = {}) {
+  const headers = [
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${TZ}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+  ];
+  return calendar(entries.flatMap((e) => eventLines(e.poll, { ...e, now })), headers);
+}
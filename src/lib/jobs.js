@@ -0,0 +1,389 @@
+import crypto from 'crypto';
+import dayjs from 'dayjs';
+import { buildEventSummaryFlex, buildFinalizeCarousel, buildPollFlex, buildSettlementFlex, formatFinalizedLabel } from './flex.js';
+import { publish } from './sse.js';
+import { pushMessages, safePush } from './push.js';
+import { getAllMemberIds, getHumanMemberCount } from './members.js';
+import { TZ, formatJst } from './time.js';
+import { REMINDER_MAX_CAP } from './settings.js';
+import { decidePoll, describeRules } from './decision.js';
+import { formatPollTitle } from './commands.js';
+import { nextRecurringRun, recurringDeadline, recurringOptions } from './recurring.js';
+import { formatYen } from './warikan.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const REMINDER_MIN_GAP_MS = HOUR_MS; // never nudge the same poll twice within this window
+const MAX_MENTIONS = 20; // LINE allows at most 20 mentions per textV2 message
+const PAYMENT_REMINDER_HOUR = 12; // payment reminders go out around noon, never at night
+const EVENT_ALL_DAY_REMINDER_HOUR = 9; // same-day reminder of an event without a start time
+const EVENT_SUMMARY_DELAY_MS = 10 * 60 * 1000; // quiet period after the last change before the summary is re-posted
+const PLACES_CACHE_PURGE_INTERVAL_MS = DAY_MS;
+
+// Scheduler job handlers. Each handler re-reads the poll and exits quietly when the job is stale
+// (poll already closed, deadline moved, etc.), so duplicate or outdated jobs are harmless.
+// Pushes throw so the scheduler retries the job; state that marks the job done is written after the push.
+export function registerJobHandlers({ scheduler, client, db, runtime = {} }) {
+  // At the deadline: close the poll, then post the ranked carousel (its own job, so only the push is retried)
+  scheduler.register('poll_deadline', async ({ pollId } = {}) => {
+    const poll = db.getPoll(pollId)?.poll;
+    if (!poll || poll.status !== 'open') return;
+    if (!poll.deadline || Number(poll.deadline) > Date.now()) return; // deadline cleared or moved later
+    db.setPollStatus(pollId, 'closing');
+    publish(pollId, { type: 'status', status: 'closing' });
+    if (poll.group_id) scheduler.schedule('deadline_announce', Date.now(), { pollId }, { key: `deadline_announce:${pollId}` });
+  });
+
+  // Move the group to the finalize step of a poll closed at its deadline
+  scheduler.register('deadline_announce', async ({ pollId } = {}) => {
+    const d = db.getPoll(pollId);
+    if (!d) return;
+    const { poll, options } = d;
+    if (poll.status !== 'closing' || !poll.group_id) return; // finalized or reopened meanwhile
+    const { rules, ranked } = decidePoll(db, { poll, options });
+    const flex = buildFinalizeCarousel({ pollId, title: formatPollTitle(poll), ranked });
+    await pushMessages(client, poll.group_id, [
+      { type: 'text', text: `「${formatPollTitle(poll)}」の回答締切になりました。投票を締め切り、最終候補を選んでください。\n${describeRules(rules)}` },
+      flex,
+    ]);
+  });
+
+  // Nudge members who have not answered every option, mentioning them by name
+  scheduler.register('poll_reminder', async ({ pollId } = {}) => {
+    const d = db.getPoll(pollId);
+    if (!d) return;
+    const { poll, options } = d;
+    if (poll.status !== 'open' || !poll.group_id || options.length === 0) return;
+    if (poll.deadline && Number(poll.deadline) <= Date.now()) return;
+    const settings = db.getGroupSettings(poll.group_id);
+    const cap = Math.min(Number(settings.reminderMax) || 0, REMINDER_MAX_CAP);
+    if (!settings.remindersEnabled || Number(poll.reminders_sent || 0) >= cap) return;
+    if (poll.last_reminded_at && Date.now() - Number(poll.last_reminded_at) < REMINDER_MIN_GAP_MS) return;
+
+    const nOpts = options.length;
+    const counts = db.getAnswerCountsByUser(pollId);
+    const byUser = new Map(counts.map((r) => [r.user_id, Number(r.cnt) || 0]));
+    const completed = counts.filter((r) => Number(r.cnt) >= nOpts).length;
+
+    // Full member list when the account may read it; otherwise only partial answerers are known
+    const memberIds = (await getAllMemberIds(client, poll.group_id)).filter((id) => id && id !== runtime.botUserId);
+    let pending;
+    let othersPending = false;
+    if (memberIds.length) {
+      pending = memberIds.filter((uid) => (byUser.get(uid) || 0) < nOpts);
+    } else {
+      pending = counts.filter((r) => Number(r.cnt) < nOpts).map((r) => r.user_id);
+      const memberCount = await getHumanMemberCount(client, poll.group_id);
+      othersPending = typeof memberCount === 'number' && memberCount > completed + pending.length;
+    }
+    if (pending.length === 0 && !othersPending) return; // everyone answered
+
+    const mentioned = pending.slice(0, MAX_MENTIONS);
+    const substitution = {};
+    const placeholders = [];
+    for (const [i, userId] of mentioned.entries()) {
+      substitution[`user${i}`] = { type: 'mention', mentionee: { type: 'user', userId } };
+      placeholders.push(`{user${i}}`);
+    }
+    console.log(`[REMINDER] poll=${pollId} pending=${pending.length} mentioned=${mentioned.length}`);
+
+    const lines = [`「${formatPollTitle(poll)}」の回答のお願いです。`];
+    if (placeholders.length) {
+      const rest = pending.length - mentioned.length;
+      lines.push(`${placeholders.join(' ')} さん${rest > 0 ? `（ほか${rest}名）` : ''}、まだ回答が揃っていません。`);
+    }
+    if (othersPending) lines.push('まだ回答していない方も、フォームからご回答ください。');
+    if (poll.deadline) lines.push(`締切: ${formatJst(poll.deadline)}`);
+    const reminder = placeholders.length
+      ? { type: 'textV2', text: lines.join('\n'), substitution }
+      : { type: 'text', text: lines.join('\n') };
+    const form = buildPollFlex({
+      pollId,
+      title: formatPollTitle(poll),
+      options: options.map((o) => ({ id: o.id, label: o.label, startTime: o.start_time, endTime: o.end_time })),
+    });
+    await pushMessages(client, poll.group_id, [reminder, form]);
+    db.markPollReminded(pollId);
+  });
+
+  // Ask members who have not paid yet, politely and by name, to settle their share of the bill
+  scheduler.register('payment_reminder', async ({ settlementId } = {}) => {
+    const settlement = db.getSettlement(settlementId);
+    if (!settlement || settlement.completed_at) return;
+    if (db.getLatestSettlement(settlement.poll_id)?.id !== settlementId) return; // split again since
+    const poll = db.getPoll(settlement.poll_id)?.poll;
+    if (!poll || poll.status !== 'closed' || !poll.group_id) return;
+    if (!db.getGroupSettings(poll.group_id).paymentRemindersEnabled) return;
+    const unpaid = settlement.rows.filter((r) => !r.paidAt);
+    if (!unpaid.length) return;
+
+    const substitution = {};
+    const lines = [`「${formatPollTitle(poll)}」のお会計について、お支払いがまだの方へのご連絡です。`];
+    let mentions = 0;
+    for (const r of unpaid) {
+      if (r.userId && mentions < MAX_MENTIONS) {
+        substitution[`user${mentions}`] = { type: 'mention', mentionee: { type: 'user', userId: r.userId } };
+        lines.push(`{user${mentions}} さん ${formatYen(r.share)}`);
+        mentions++;
+      } else {
+        lines.push(`${r.name}さん ${formatYen(r.share)}`);
+      }
+    }
+    const payee = settlement.created_by_name ? `幹事の${settlement.created_by_name}さん` : '幹事';
+    lines.push(`お手すきの際に${payee}へお支払いをお願いします。お支払い後は「支払い済みにする」を押してください。`);
+    console.log(`[PAYMENT] reminder poll=${poll.id} unpaid=${unpaid.length} mentioned=${mentions}`);
+    const reminder = mentions
+      ? { type: 'textV2', text: lines.join('\n'), substitution }
+      : { type: 'text', text: lines.join('\n') };
+    const flex = buildSettlementFlex({ pollId: poll.id, title: formatPollTitle(poll), when: formatFinalizedLabel(poll), settlement });
+    await pushMessages(client, poll.group_id, [reminder, flex]);
+  });
+
+  // The evening before and a few hours before a finalized event: where, when and who, mentioning the attendees
+  // (except members who opted out). Cancelled, taken-back or re-dated events are skipped.
+  scheduler.register('event_reminder', async ({ pollId, kind, date } = {}) => {
+    const poll = db.getPoll(pollId)?.poll;
+    if (!poll || poll.status !== 'closed' || !poll.group_id) return;
+    if (poll.finalized_date !== date) return; // re-finalized on another date since
+    if (!db.getGroupSettings(poll.group_id).eventRemindersEnabled) return;
+    const optedOut = new Set(db.listEventReminderOptOuts(poll.group_id));
+    const attendees = db.getPollAttendees(pollId);
+    const when = formatFinalizedLabel(poll);
+    const lines = [kind === 'day_before'
+      ? `明日は「${formatPollTitle(poll)}」です！`
+      : `${poll.finalized_start_time ? `本日${poll.finalized_start_time}から` : '本日は'}「${formatPollTitle(poll)}」です！`];
+    lines.push(`日時: ${when}`);
+    if (poll.venue_name) {
+      const reserved = poll.reservation_status === 'reserved'
+        ? `（予約済み${poll.reservation_name ? `: ${poll.reservation_name}` : ''}）`
+        : '';
+      lines.push(`お店: ${poll.venue_name}${reserved}`);
+      if (poll.venue_address) lines.push(`住所: ${poll.venue_address}`);
+      if (poll.venue_url) lines.push(`地図: ${poll.venue_url}`);
+    } else {
+      lines.push('お店: 未定');
+    }
+    const substitution = {};
+    let mentions = 0;
+    const names = attendees.map((a) => {
+      if (a.userId && !optedOut.has(a.userId) && mentions < MAX_MENTIONS) {
+        substitution[`user${mentions}`] = { type: 'mention', mentionee: { type: 'user', userId: a.userId } };
+        return `{user${mentions++}} さん`;
+      }
+      return `${a.name || '名前未設定'}さん`;
+    });
+    lines.push(`参加予定 ${attendees.length}人${names.length ? `: ${names.join('、')}` : ''}`);
+    console.log(`[EVENT] ${kind} reminder poll=${pollId} attendees=${attendees.length} mentioned=${mentions}`);
+    await pushMessages(client, poll.group_id, [
+      mentions ? { type: 'textV2', text: lines.join('\n'), substitution } : { type: 'text', text: lines.join('\n') },
+    ]);
+  });
+
+  // Re-post the event summary once its details settle; skipped when the card is the same as the last one posted
+  scheduler.register('event_summary', async ({ pollId } = {}) => {
+    const poll = db.getPoll(pollId)?.poll;
+    if (!poll || poll.status !== 'closed' || !poll.group_id) return;
+    if (!db.getGroupSettings(poll.group_id).eventSummaryAutoPost) return;
+    const { flex, hash } = buildEventSummary(db, poll);
+    if (poll.summary_hash === hash) return;
+    console.log(`[SUMMARY] re-posting summary of poll ${pollId}`);
+    await pushMessages(client, poll.group_id, [flex]);
+    db.setPollSummaryHash(pollId, hash);
+  });
+
+  // Create a recurring rule's poll for the month, then plan the following month.
+  // The form is posted by its own job so a failed push is retried without creating the poll again.
+  scheduler.register('recurring_poll', async ({ ruleId, month } = {}) => {
+    const rule = db.getRecurringRule(ruleId);
+    if (!rule || !rule.active) return;
+    if (rule.last_month && rule.last_month >= month) return; // already created
+    const monthLabel = `${Number(month.slice(5))}月`;
+    const options = recurringOptions(rule.pattern, month);
+    if (!options.length) {
+      await pushMessages(client, rule.group_id, [
+        { type: 'text', text: `定例「${rule.title}」: ${monthLabel}は「${rule.pattern.label}」に当てはまる日がないため、投票を作成しませんでした。` },
+      ]);
+      db.setRecurringRuleMonth(ruleId, month);
+      scheduleRecurringRule(scheduler, db.getRecurringRule(ruleId));
+      return;
+    }
+    db.setRecurringRuleMonth(ruleId, month);
+    scheduleRecurringRule(scheduler, db.getRecurringRule(ruleId));
+    const pollId = db.createPoll({
+      groupId: rule.group_id,
+      title: `${rule.title}（${monthLabel}）`,
+      options,
+      createdBy: rule.created_by,
+      createdByName: rule.created_by_name,
+      recurringRuleId: rule.id,
+      shopQuery: rule.shop_query,
+    });
+    const deadline = recurringDeadline(rule, options);
+    if (deadline && deadline > Date.now()) {
+      db.setPollDeadline(pollId, deadline);
+      schedulePollDeadline(scheduler, pollId, deadline);
+    }
+    schedulePollReminders(scheduler, db, pollId);
+    console.log(`[RECURRING] rule=${ruleId} month=${month} -> poll ${pollId} with ${options.length} candidates`);
+    scheduler.schedule('recurring_announce', Date.now(), { pollId, month }, { key: `announce:${pollId}` });
+  });
+
+  // Post the form of a poll created by a recurring rule
+  scheduler.register('recurring_announce', async ({ pollId, month } = {}) => {
+    const d = db.getPoll(pollId);
+    if (!d) return;
+    const { poll, options } = d;
+    if (poll.status !== 'open' || !poll.group_id || !poll.recurring_rule_id) return;
+    const rule = db.getRecurringRule(poll.recurring_rule_id);
+    if (!rule) return;
+    const lines = [`定例「${rule.title}」の${Number(month.slice(5))}月の日程調整です。都合を回答してください。`];
+    if (poll.deadline) lines.push(`締切: ${formatJst(poll.deadline)}`);
+    const form = buildPollFlex({
+      pollId,
+      title: formatPollTitle(poll),
+      options: options.map((o) => ({ id: o.id, label: o.label, startTime: o.start_time, endTime: o.end_time })),
+    });
+    await pushMessages(client, poll.group_id, [{ type: 'text', text: lines.join('\n') }, form]);
+  });
+
+  // Drop expired Google Places responses once a day, so a long-running server does not keep them forever
+  scheduler.register('places_cache_purge', async () => {
+    schedulePlacesCachePurge(scheduler);
+    const deleted = db.purgePlacesCache({ expiredOnly: true });
+    if (deleted) console.log(`[PLACES] purged ${deleted} expired cache entries`);
+  });
+}
+
+// Keep the deadline job in sync with polls.deadline (null clears it)
+export function schedulePollDeadline(scheduler, pollId, deadlineTs) {
+  const key = `deadline:${pollId}`;
+  if (deadlineTs == null) {
+    scheduler.cancel(key);
+    return;
+  }
+  scheduler.schedule('poll_deadline', deadlineTs, { pollId }, { key });
+}
+
+// Plan the next poll creation of a recurring rule (replaces any pending one)
+export function scheduleRecurringRule(scheduler, rule) {
+  const key = `recurring:${rule.id}`;
+  if (!rule.active) {
+    scheduler.cancel(key);
+    return null;
+  }
+  const next = nextRecurringRun(rule);
+  scheduler.schedule('recurring_poll', next.runAt, { ruleId: rule.id, month: next.month }, { key });
+  return next;
+}
+
+// Plan the next purge of expired Places responses (replaces any pending one)
+export function schedulePlacesCachePurge(scheduler) {
+  scheduler.schedule('places_cache_purge', Date.now() + PLACES_CACHE_PURGE_INTERVAL_MS, {}, { key: 'places_cache_purge' });
+}
+
+// (Re)plan payment reminders for a poll's current bill split, N days after it was made (group setting).
+// The handler re-checks who is unpaid, so a split that is re-done or fully paid simply stops them.
+export function schedulePaymentReminders(scheduler, db, settlement) {
+  const prefix = `payment:${settlement.poll_id}:`;
+  scheduler.cancelPrefix(prefix);
+  if (settlement.completed_at) return;
+  const poll = db.getPoll(settlement.poll_id)?.poll;
+  if (!poll?.group_id) return;
+  const settings = db.getGroupSettings(poll.group_id);
+  if (!settings.paymentRemindersEnabled) return;
+  const base = dayjs(Number(settlement.created_at)).tz(TZ);
+  const now = Date.now();
+  (settings.paymentReminderDays || [])
+    .map((d) => base.add(Number(d), 'day').hour(PAYMENT_REMINDER_HOUR).minute(0).second(0).millisecond(0).valueOf())
+    .filter((t) => t > now)
+    .slice(0, REMINDER_MAX_CAP)
+    .forEach((t, i) => scheduler.schedule('payment_reminder', t, { settlementId: settlement.id }, { key: `${prefix}${i}` }));
+}
+
+// (Re)plan the day-before and same-day reminders of a finalized event from the group's settings.
+// Times already past are skipped; the handler re-checks the event, so taking it back or cancelling stops them.
+export function scheduleEventReminders(scheduler, db, pollId) {
+  const prefix = `event:${pollId}:`;
+  scheduler.cancelPrefix(prefix);
+  const poll = db.getPoll(pollId)?.poll;
+  if (!poll || poll.status !== 'closed' || !poll.finalized_date || !poll.group_id) return;
+  const settings = db.getGroupSettings(poll.group_id);
+  if (!settings.eventRemindersEnabled) return;
+  const day = dayjs.tz(poll.finalized_date, TZ);
+  const times = {};
+  if (settings.eventReminderDayBeforeHour != null) {
+    times.day_before = day.subtract(1, 'day').hour(Number(settings.eventReminderDayBeforeHour)).valueOf();
+  }
+  if (settings.eventReminderHoursBefore != null) {
+    times.same_day = poll.finalized_start_time
+      ? dayjs.tz(`${poll.finalized_date} ${poll.finalized_start_time}`, TZ).subtract(Number(settings.eventReminderHoursBefore), 'hour').valueOf()
+      : day.hour(EVENT_ALL_DAY_REMINDER_HOUR).valueOf();
+  }
+  const now = Date.now();
+  for (const [kind, t] of Object.entries(times)) {
+    if (t > now) scheduler.schedule('event_reminder', t, { pollId, kind, date: poll.finalized_date }, { key: `${prefix}${kind}` });
+  }
+}
+
+// The event summary card from the current database state, with a fingerprint to tell whether it changed
+export function buildEventSummary(db, poll) {
+  const flex = buildEventSummaryFlex({
+    poll,
+    title: formatPollTitle(poll),
+    attendees: db.getPollAttendees(poll.id),
+    settlement: db.getLatestSettlement(poll.id),
+  });
+  return { flex, hash: crypto.createHash('sha1').update(JSON.stringify(flex)).digest('hex') };
+}
+
+// Call after anything shown on the summary card changes (attendance, venue, reservation, bill split, payments).
+// A burst of changes pushes the pending job back, so the group gets one refreshed card.
+export function scheduleEventSummary(scheduler, pollId) {
+  scheduler.schedule('event_summary', Date.now() + EVENT_SUMMARY_DELAY_MS, { pollId }, { key: `summary:${pollId}` });
+}
+
+// Once the last member has paid: stop the reminders and post the final summary to the group (only once)
+export async function finishSettlementIfPaid({ client, db, scheduler, settlementId }) {
+  if (!db.completeSettlement(settlementId)) return false;
+  const settlement = db.getSettlement(settlementId);
+  scheduler.cancelPrefix(`payment:${settlement.poll_id}:`);
+  const poll = db.getPoll(settlement.poll_id)?.poll;
+  if (!poll?.group_id) return true;
+  const diff = settlement.collected - settlement.total;
+  const lines = [
+    `「${formatPollTitle(poll)}」のお会計: 全員（${settlement.rows.length}人）のお支払いが完了しました。`,
+    `集金額 ${formatYen(settlement.collected)}（合計 ${formatYen(settlement.total)}${
+      diff > 0 ? `・${formatYen(diff)} は幹事預かり` : diff < 0 ? `・${formatYen(-diff)} は幹事負担` : ''
+    }）`,
+    'ご協力ありがとうございました！',
+  ];
+  console.log(`[PAYMENT] settlement ${settlementId} completed (poll=${poll.id})`);
+  await safePush(client, poll.group_id, [{ type: 'text', text: lines.join('\n') }]);
+  return true;
+}
+
+// (Re)plan reminder jobs for a poll from its deadline/creation time and the group's cadence.
+// The cap is enforced when a reminder fires, so over-planning here is harmless.
+export function schedulePollReminders(scheduler, db, pollId) {
+  const prefix = `reminder:${pollId}:`;
+  scheduler.cancelPrefix(prefix);
+  const d = db.getPoll(pollId);
+  if (!d || d.poll.status !== 'open' || !d.poll.group_id) return;
+  const { poll } = d;
+  const settings = db.getGroupSettings(poll.group_id);
+  if (!settings.remindersEnabled || !Number(settings.reminderMax)) return;
+  const now = Date.now();
+  const deadline = poll.deadline ? Number(poll.deadline) : null;
+  const times = [];
+  if (deadline) {
+    for (const h of settings.reminderOffsetsHours || []) times.push(deadline - Number(h) * HOUR_MS);
+  }
+  if (settings.reminderAfterDays) {
+    times.push(Number(poll.created_at) + Number(settings.reminderAfterDays) * DAY_MS);
+  }
+  times
+    .filter((t) => t > now && (!deadline || t < deadline))
+    .sort((a, b) => a - b)
+    .slice(0, REMINDER_MAX_CAP)
+    .forEach((t, i) => scheduler.schedule('poll_reminder', t, { pollId }, { key: `${prefix}${i}` }));
+}
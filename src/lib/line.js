@@ -1,8 +1,43 @@
 import dayjs from 'dayjs';
-import { runWithTools, continueAfterToolResult } from './claude.js';
-import { buildPollFlex, buildShopCarousel } from './flex.js';
+import { runWithTools, continueAfterToolResult, normalizeCandidate } from './claude.js';
+import {
+  buildPollFlex,
+  buildShopCarousel,
+  buildFinalizeCarousel,
+  buildFinalizedFlex,
+  buildReservationFlex,
+  buildSettlementFlex,
+  calendarFeedUrl,
+  formatFinalizedLabel,
+  formatOptionLabel,
+} from './flex.js';
 import { publish } from './sse.js';
-import { suggestPlacesFromNL } from './shop_suggester.js';
+import { safePush, safeReply, safeSend } from './push.js';
+import { findFairMeetingPoints, resolveHomeStation, suggestPlacesFromNL } from './shop_suggester.js';
+import { decidePoll, describeRules } from './decision.js';
+import {
+  parsePollRef,
+  parseCommand,
+  formatPollList,
+  formatPollTitle,
+  pollRef,
+  commandQuickReply,
+  COMMAND_STATUSES,
+  HELP_TEXT,
+} from './commands.js';
+import {
+  buildEventSummary,
+  finishSettlementIfPaid,
+  scheduleEventReminders,
+  scheduleEventSummary,
+  schedulePaymentReminders,
+  schedulePollDeadline,
+  schedulePollReminders,
+  scheduleRecurringRule,
+} from './jobs.js';
+import { formatJst, parseJstDateTime } from './time.js';
+import { describeRecurringRule, parseRecurringRequest, recurringOptions } from './recurring.js';
+import { buildSettlementMembers, computeSettlement, findMemberByName, formatYen, parseSettlementRequest } from './warikan.js';
 
 function extractQueryFromText(message) {
   const text = message.text || '';
@@ -29,18 +64,115 @@ function isBotMentioned(message, botUserId) {
   return mentionees.some((m) => m.userId === botUserId);
 }
 
+const HONORIFIC = '(?:さん|くん|君|ちゃん|様)';
+// Words that come right before 必須 without naming anyone ("参加必須", "全員必須")
+const NOT_A_NAME = /^(?:参加|出席|全員|みんな|皆|誰か|一人|1人|日程|時間)$/;
+
+// Required members (主役/必須参加者) named in a request: mentioned users ("@田中 必須で") and
+// plain names ("田中さん必須で", "主役は田中さん"). Name-only entries are matched to voters in decision.js (resolveMembers).
+function extractRequiredMembers(message, query, botUserId) {
+  const text = message.text || '';
+  if (!/必須|主役/.test(text)) return [];
+  const out = [];
+  for (const m of message.mention?.mentionees || []) {
+    if (m.isSelf || (botUserId && m.userId === botUserId) || m.type === 'all') continue;
+    const name = text.slice(m.index, m.index + m.length).replace(/^@/, '').trim();
+    out.push({ userId: m.userId || null, name: name || null });
+  }
+  // A name is one run of kanji/katakana/latin (or of hiragana) right before the honorific or 必須, so the words
+  // before it stay out: "送別会で田中さん必須" -> 田中. "田中と鈴木さんが必須" lists several.
+  const TOKEN = `(?:[一-龥々〆ァ-ヶーA-Za-zＡ-Ｚａ-ｚ0-9０-９]+|[ぁ-ゖー]+)`;
+  const LIST = `(${TOKEN}${HONORIFIC}?(?:[と・＆&]${TOKEN}${HONORIFIC}?)*)`;
+  const patterns = [
+    new RegExp(`${LIST}(?:が|は|を|も)?(?:参加)?必須`, 'g'),
+    new RegExp(`主役(?:は|が|[:：])?\\s*${LIST}(?=[\\s、,。]|で|$)`, 'g'),
+  ];
+  for (const re of patterns) {
+    for (const m of query.matchAll(re)) {
+      for (const part of m[1].split(/[と・＆&]/)) {
+        const name = part.replace(new RegExp(`${HONORIFIC}$`), '');
+        if (!name || NOT_A_NAME.test(name)) continue;
+        if (!out.some((x) => x.name === name)) out.push({ userId: null, name });
+      }
+    }
+  }
+  return out;
+}
+
+// Times live in start_time/end_time; drop any the LLM also wrote into the label to avoid showing them twice
+function stripTimeFromLabel(label, startTime) {
+  if (!label || !startTime) return label;
+  return label
+    .replace(/\s*\d{1,2}[:：]\d{2}\s*(?:[〜~\-ー]\s*(?:\d{1,2}[:：]\d{2})?)?/g, '')
+    .trim();
+}
+
+// Apply edit_event_candidates input to an open poll.
+// Adds skip dates/time slots already present; removes drop the votes of those options too.
+// Returns { added, removed, summary } or { error } when nothing applicable was requested.
+function applyCandidateEdits(db, activePoll, input, actor = null) {
+  const options = activePoll.options;
+  const slotKey = (date, startTime) => `${date || ''} ${startTime || ''}`;
+  const existing = new Set(options.map((o) => slotKey(o.date, o.start_time)));
+
+  const toRemove = [];
+  for (const r of Array.isArray(input.remove) ? input.remove : []) {
+    if (!r) continue;
+    let matches = [];
+    if (r.option_id) {
+      matches = options.filter((o) => o.id === r.option_id);
+    } else if (r.date) {
+      const { date, start_time: startTime } = normalizeCandidate({ date: r.date, start_time: r.start_time });
+      matches = options.filter((o) => o.date === date && (!startTime || o.start_time === startTime));
+    }
+    for (const o of matches) if (!toRemove.includes(o)) toRemove.push(o);
+  }
+
+  const toAdd = [];
+  for (const c of (Array.isArray(input.add) ? input.add : []).filter((x) => x && x.date).map(normalizeCandidate)) {
+    const key = slotKey(c.date, c.start_time);
+    if (existing.has(key) && !toRemove.some((o) => slotKey(o.date, o.start_time) === key)) continue;
+    if (toAdd.some((x) => slotKey(x.date, x.startTime) === key)) continue;
+    toAdd.push({ date: c.date, label: stripTimeFromLabel(c.label, c.start_time) || c.date, startTime: c.start_time, endTime: c.end_time });
+  }
+
+  if (toRemove.length && toRemove.length >= options.length && toAdd.length === 0) {
+    return { error: '候補をすべて削除することはできません。新しい候補日を追加するか、投票をやり直してください。' };
+  }
+  if (!toAdd.length && !toRemove.length) {
+    return { error: '変更できる候補が見つかりませんでした。追加・削除したい日付を具体的に教えてください。' };
+  }
+
+  if (toRemove.length) db.removePollOptions(activePoll.id, toRemove.map((o) => o.id), actor);
+  if (toAdd.length) db.addPollOptions(activePoll.id, toAdd, actor);
+
+  const lines = [`「${activePoll.title}」の候補を更新しました。`];
+  if (toAdd.length) lines.push(`追加: ${toAdd.map((c) => formatOptionLabel({ label: c.label, startTime: c.startTime, endTime: c.endTime })).join('、')}`);
+  if (toRemove.length) lines.push(`削除: ${toRemove.map((o) => formatOptionLabel(o)).join('、')}（回答も削除）`);
+  return { added: toAdd, removed: toRemove, summary: lines.join('\n') };
+}
+
+// Scheduling conversations resume within this window; after it the next mention starts fresh
+const SESSION_TIMEOUT_MS = (Number(process.env.SESSION_TIMEOUT_MIN) || 30) * 60 * 1000;
+const SESSION_HISTORY_LIMIT = 20; // turns replayed to the LLM
+
+// Group chats have several speakers; the LLM sees who said what
+function withSpeaker(name, content) {
+  return name ? `${name}: ${content}` : content;
+}
+
 function looksLikeScheduleRequest(text) {
   return /日程|スケジュール|候補|poll|土日|曜日/.test(text);
 }
 
-export function handleEventFactory({ client, db, botUserId }) {
+export function handleEventFactory({ client, db, scheduler, botUserId }) {
   return async function handleEvent(event) {
     try {
       if (event.type === 'message' && event.message?.type === 'text') {
-        return handleTextMessage({ client, db, event, botUserId });
+        return handleTextMessage({ client, db, scheduler, event, botUserId });
       }
       if (event.type === 'postback') {
-        return handlePostback({ client, db, event });
+        return handlePostback({ client, db, scheduler, event });
       }
     } catch (e) {
       console.error('handleEvent error:', e);
@@ -48,7 +180,7 @@ export function handleEventFactory({ client, db, botUserId }) {
   };
 }
 
-async function handleTextMessage({ client, db, event, botUserId }) {
+async function handleTextMessage({ client, db, scheduler, event, botUserId }) {
   const message = event.message;
   const groupId = event.source.groupId || event.source.roomId || event.source.userId;
   const envBotUserId = process.env.BOT_USER_ID || '';
@@ -62,26 +194,55 @@ async function handleTextMessage({ client, db, event, botUserId }) {
   }
   const replyToken = event.replyToken;
 
-  // Restaurant search flow
-  const latestPoll = db.getLatestPollForGroup(groupId);
-  if (latestPoll && latestPoll.follow_up_state === 'question_sent' && !looksLikeScheduleRequest(query)) {
-    try {
-      await safeReply(client, replyToken, [{ type: 'text', text: 'お店を検索中です...少々お待ちください。' }]);
-      const date = latestPoll.finalized_date ? `${latestPoll.finalized_date} 19:00` : null;
-      const results = await suggestPlacesFromNL(query, { date });
-      const recommendations = results?.top5_structured?.recommendations;
-      if (recommendations && recommendations.length > 0) {
-        const flexMessage = buildShopCarousel(recommendations, { altText: `「${query}」のおすすめのお店` });
-        await safePush(client, groupId, [flexMessage]);
-      } else {
-        await safePush(client, groupId, [{ type: 'text', text: 'すみません、ご希望に合うお店が見つかりませんでした。' }]);
-      }
-      db.setPollFollowUpState(latestPoll.id, 'completed');
-    } catch (e) {
-      console.error('[ShopSearch] Error:', e);
-      await safePush(client, groupId, [{ type: 'text', text: `お店の検索中にエラーが発生しました。
-${e.message}` }]);
+  // "#2 …" addresses a specific poll when the group runs several at once
+  const { seq, rest: body } = parsePollRef(query);
+  const target = seq ? db.getPollBySeq(groupId, seq) : null;
+  if (seq && !target) {
+    await safeReply(client, replyToken, [{ type: 'text', text: `#${seq} の投票は見つかりませんでした。「@ボット 一覧」で番号を確認できます。` }]);
+    return;
+  }
+
+  // Organizer commands are matched deterministically before anything reaches the LLM
+  const command = parseCommand(body);
+  if (command) {
+    const actor = { userId: event.source.userId || null, name: await getDisplayNameSafe(client, event.source) };
+    await handleCommand({ client, db, scheduler, replyToken, groupId, name: command.name, arg: command.arg, target, actor });
+    return;
+  }
+
+  // "毎月第2週の平日で定例会" saves a recurring rule; the scheduler creates each month's poll
+  const recurring = seq ? null : parseRecurringRequest(body);
+  if (recurring) {
+    const actor = { userId: event.source.userId || null, name: await getDisplayNameSafe(client, event.source) };
+    await saveRecurringRule({ client, db, scheduler, replyToken, groupId, request: recurring, actor });
+    return;
+  }
+
+  // Restaurant search flow, for the finalized poll whose shop question is still open
+  if (!looksLikeScheduleRequest(body)) {
+    const awaiting = db.listPollsAwaitingShop(groupId);
+    const shopPoll = target ? awaiting.find((p) => p.id === target.id) : awaiting.length === 1 ? awaiting[0] : null;
+    if (!target && awaiting.length > 1) {
+      const refs = awaiting.map((p) => formatPollTitle(p)).join(' / ');
+      await safeReply(client, replyToken, [{ type: 'text', text: `どのイベントのお店を探しますか？「@ボット #番号 ${body || '渋谷で居酒屋'}」のように番号を付けて送ってください。\n${refs}` }]);
+      return;
+    }
+    if (shopPoll) {
+      await searchShopsForPoll({
+        client,
+        db,
+        groupId,
+        replyToken,
+        poll: shopPoll,
+        query: body,
+        actor: { userId: event.source.userId || null, name: null },
+      });
+      return;
     }
+  }
+
+  if (target && target.status !== 'open') {
+    await safeReply(client, replyToken, [{ type: 'text', text: `「${formatPollTitle(target)}」は回答の受付を終了しています。` }]);
     return;
   }
 
@@ -99,8 +260,36 @@ ${e.message}` }]);
       // ignore logging errors
     }
     // Advanced flow: send to Claude, allow tool-calling to update candidates, then create poll
-    const sessionId = db.createSession({ groupId, title: null });
-    const { text: assistantText, tool, messages, fallbackReason } = await runWithTools({ sessionId, userText: query || text, titleHint: null });
+    // Resume the group's open session so a reply to a clarifying question keeps the earlier context
+    const resumed = db.getResumableSession(groupId, Date.now() - SESSION_TIMEOUT_MS);
+    const sessionId = resumed ? resumed.id : db.createSession({ groupId, title: null });
+    const past = resumed ? db.getSessionMessages(sessionId, SESSION_HISTORY_LIMIT) : [];
+    if (resumed) console.log(`[MENTION] resuming session ${sessionId} (${past.length} earlier turns)`);
+    const history = past.map((m) => ({ role: m.role, content: m.role === 'user' ? withSpeaker(m.user_name, m.content) : m.content }));
+    const userTurn = body || text;
+    const remember = (role, content) => {
+      if (!content) return;
+      db.addSessionMessage({
+        sessionId,
+        role,
+        content,
+        userId: role === 'user' ? event.source.userId || null : null,
+        userName: role === 'user' ? senderName || null : null,
+      });
+    };
+    // The targeted ("#2 10/20も追加して") or else most recent open poll can be edited instead of starting a new one
+    const openPolls = db.listOpenPollsForGroup(groupId);
+    const editableId = target ? target.id : openPolls[openPolls.length - 1]?.id;
+    const editable = editableId ? db.getPoll(editableId) : null;
+    const activePoll = editable ? { id: editable.poll.id, title: editable.poll.title, options: editable.options } : null;
+    const { text: assistantText, tool, messages, fallbackReason } = await runWithTools({
+      sessionId,
+      userText: withSpeaker(senderName, userTurn),
+      titleHint: null,
+      activePoll,
+      history,
+    });
+    remember('user', userTurn);
 
     // If LLMs are unavailable/errored, always return error (no poll)
     if (fallbackReason) {
@@ -118,22 +307,45 @@ ${e.message}` }]);
       // Normalize candidates
       const candidates = rawCandidates
         .filter((c) => c && c.date)
-        .map((c) => ({ date: c.date, label: c.label || c.date }));
+        .map(normalizeCandidate)
+        .map((c) => ({
+          date: c.date,
+          label: stripTimeFromLabel(c.label, c.start_time) || c.date,
+          startTime: c.start_time,
+          endTime: c.end_time,
+        }));
 
       if (candidates.length > 0) {
         // Update session state
         db.updateSessionCandidates({ sessionId, candidates });
         db.setSessionStatus({ sessionId, status: 'candidates_ready', title: input.title || null });
 
-        // Create poll immediately
-        const title = input.title || (query || text || '日程候補');
-        const pollId = db.createPoll({ groupId, title, options: candidates });
+        // Create poll immediately; without an LLM title the session's first request names it
+        const firstTurn = past.find((m) => m.role === 'user')?.content;
+        const title = input.title || firstTurn || userTurn || '日程候補';
+        const pollId = db.createPoll({
+          groupId,
+          title,
+          options: candidates,
+          createdBy: event.source.userId || null,
+          createdByName: senderName || null,
+        });
+        const required = extractRequiredMembers(message, query, resolvedBotUserId);
+        // "主役は田中さん" may have been said earlier in the conversation
+        for (const turn of past.filter((m) => m.role === 'user')) {
+          for (const r of extractRequiredMembers({ text: turn.content }, turn.content, resolvedBotUserId)) {
+            if (!required.some((x) => x.name === r.name)) required.push(r);
+          }
+        }
+        if (required.length) db.setPollRequiredMembers(pollId, required, { userId: event.source.userId || null, name: senderName || null });
         console.log(`[MENTION] tool_use:update_event_candidates -> created poll ${pollId} with ${candidates.length} candidates`);
-        const { options } = db.getPoll(pollId);
+        schedulePollReminders(scheduler, db, pollId);
+        const { poll, options } = db.getPoll(pollId);
         pollFlex = buildPollFlex({
           pollId,
-          title: shorten(title, 60),
-          options: options.map((o) => ({ id: o.id, label: o.label })),
+          title: shorten(formatPollTitle(poll), 60),
+          options: options.map((o) => ({ id: o.id, label: o.label, startTime: o.start_time, endTime: o.end_time })),
+          requiredNames: required.map((m) => m.name).filter(Boolean),
         });
 
         // Let Claude know tool succeeded and get final short message (skip if fallback)
@@ -143,13 +355,44 @@ ${e.message}` }]);
           finalText = cont.text || finalText;
         }
         outgoing = [{ type: 'text', text: finalText }];
+        remember('assistant', finalText);
+      }
+    }
+
+    if (tool && tool.name === 'edit_event_candidates' && activePoll) {
+      const result = applyCandidateEdits(db, activePoll, tool.input || {}, { userId: event.source.userId || null, name: senderName || null });
+      if (result.error) {
+        outgoing = [{ type: 'text', text: result.error }];
+      } else {
+        const pollId = activePoll.id;
+        console.log(`[MENTION] tool_use:edit_event_candidates poll=${pollId} added=${result.added.length} removed=${result.removed.length}`);
+        publish(pollId, { type: 'options' });
+        const { poll, options } = db.getPoll(pollId);
+        pollFlex = buildPollFlex({
+          pollId,
+          title: shorten(formatPollTitle(poll), 60),
+          options: options.map((o) => ({ id: o.id, label: o.label, startTime: o.start_time, endTime: o.end_time })),
+          requiredNames: db.getPollRequiredMembers(pollId).map((m) => m.name).filter(Boolean),
+        });
+        let finalText = result.summary;
+        if (tool.id !== 'gemini-fallback' && messages.length) {
+          const cont = await continueAfterToolResult({ messages, toolUseId: tool.id, resultText: result.summary });
+          finalText = cont.text || finalText;
+        }
+        outgoing = [{ type: 'text', text: finalText }];
+        // The edit answered this conversation; the next mention starts a new one
+        db.setSessionStatus({ sessionId, status: 'edited' });
       }
+      remember('assistant', outgoing[0].text);
+      await safeSend(client, replyToken, groupId, pollFlex ? [...outgoing, pollFlex] : outgoing);
+      return;
     }
 
     if (!pollFlex) {
       // No tool use -> return the LLM-crafted guidance; do not create poll
       const msg = assistantText && assistantText.trim() ? assistantText : '候補の日付が分かるように、具体的な日付または期間を教えてください。';
       outgoing = [{ type: 'text', text: msg }];
+      remember('assistant', msg);
     }
 
     const messagesToSend = pollFlex ? [...outgoing, pollFlex] : outgoing;
@@ -161,12 +404,890 @@ ${e.message}` }]);
   }
 }
 
-async function handlePostback({ client, db, event }) {
+async function searchShopsForPoll({ client, db, groupId, replyToken, poll, query, actor = null }) {
+  try {
+    // Headcount from the 参加/不参加 round; until anyone replies, the ○ voters as an estimate
+    const rsvps = poll.finalized_date ? db.getRsvps(poll.id) : null;
+    const replied = rsvps ? rsvps.attending.length + rsvps.declined.length : 0;
+    const partySize = (replied ? rsvps.attending.length : rsvps?.pending.length) || null;
+    const people = partySize ? `${partySize}人${replied ? '' : '（見込み）'}で` : '';
+    await safeReply(client, replyToken, [{ type: 'text', text: `「${formatPollTitle(poll)}」のお店を${people}検索中です...少々お待ちください。` }]);
+    // Opening hours are only checked against a real start time; date-only events (lunch, all day) are not filtered
+    const date = poll.finalized_date && poll.finalized_start_time
+      ? `${poll.finalized_date} ${poll.finalized_start_time}`
+      : null;
+    // Members' home stations, used when the request names no area
+    const origins = stationOrigins(db, pollMembers(db, poll));
+    const results = await suggestPlacesFromNL(query, { date, partySize, origins });
+    const timing = results?.timing;
+    if (timing) {
+      console.log(`[ShopSearch] poll=${poll.id} ${timing.total_ms}ms api=${timing.api_calls} cache=${timing.cache_hits}${timing.stopped_by ? ` stopped=${timing.stopped_by}` : ''}`);
+    }
+    const recommendations = results?.top5_structured?.recommendations;
+    if (results?.meeting_points?.length) {
+      const names = results.meeting_points.map((p) => p.name).join('・');
+      await safePush(client, groupId, [{
+        type: 'text',
+        text: `エリアの指定が無かったので、${origins.length}人の最寄り駅から集まりやすい${names}の周辺で探しました（一番遠い人でも約${formatKm(results.meeting_points[0].max_m)}）。`,
+      }]);
+    }
+    if (recommendations && recommendations.length > 0) {
+      // The shops become this poll's vote candidates ("ここに投票" on each bubble)
+      const shops = recommendations.slice(0, 5);
+      const budget = (results.nl_plan?.price_bands || []).find((b) => b?.min_yen || b?.max_yen) || null;
+      const candidates = db.saveShopCandidates(poll.id, shops, actor, { request: query, budget });
+      publish(poll.id, { type: 'shop_vote' });
+      const flexMessage = buildShopCarousel(
+        shops.map((shop, i) => ({ ...shop, candidateId: candidates[i].id })),
+        { altText: `「${query}」のおすすめのお店` }
+      );
+      await safePush(client, groupId, [
+        flexMessage,
+        { type: 'text', text: '「ここに投票」で行きたいお店に投票してください。幹事は「@ボット お店決定」で投票を締め切ってお店を決められます。' },
+      ]);
+    } else {
+      await safePush(client, groupId, [{ type: 'text', text: 'すみません、ご希望に合うお店が見つかりませんでした。' }]);
+    }
+    db.setPollFollowUpState(poll.id, 'completed', actor);
+  } catch (e) {
+    console.error('[ShopSearch] Error:', e);
+    await safePush(client, groupId, [{ type: 'text', text: `お店の検索中にエラーが発生しました。
+${e.message}` }]);
+  }
+}
+
+// Members to meet up: the expected attendees once the date is fixed, otherwise everyone who answered
+function pollMembers(db, poll) {
+  if (poll.finalized_date) return db.getPollAttendees(poll.id);
+  return db.getPollVoters(poll.id).map((v) => ({ userId: v.user_id, name: v.user_name }));
+}
+
+// Registered home stations of members as origins for findFairMeetingPoints
+function stationOrigins(db, members) {
+  return db.getMemberStations(members.map((m) => m.userId)).map((st) => ({
+    name: members.find((m) => m.userId === st.user_id)?.name || st.user_name || null,
+    lat: st.lat,
+    lng: st.lng,
+  }));
+}
+
+function formatKm(meters) {
+  return meters < 1000 ? `${Math.round(meters / 100) * 100}m` : `${(meters / 1000).toFixed(1)}km`;
+}
+
+async function saveRecurringRule({ client, db, scheduler, replyToken, groupId, request, actor }) {
+  const rule = db.createRecurringRule({
+    groupId,
+    title: request.title,
+    pattern: request.pattern,
+    createDay: request.createDay,
+    deadlineDaysBefore: request.deadlineDaysBefore,
+    shopQuery: request.shopQuery,
+    createdBy: actor.userId,
+    createdByName: actor.name,
+  });
+  const next = scheduleRecurringRule(scheduler, rule);
+  console.log(`[RECURRING] saved rule ${rule.id} group=${groupId} next=${next.month}`);
+  const monthLabel = `${Number(next.month.slice(5))}月`;
+  const dates = recurringOptions(rule.pattern, next.month);
+  const span = dates.length ? `（候補: ${dates[0].label}${dates.length > 1 ? `〜${dates[dates.length - 1].label}` : ''}）` : '';
+  const lines = [
+    `定例「${rule.title}」を登録しました。`,
+    `日程: 毎月${rule.pattern.label}`,
+    next.runAt <= Date.now() + 60 * 1000
+      ? `${monthLabel}分の投票をこのあと作成します${span}。`
+      : `${formatJst(next.runAt)} に${monthLabel}分の投票を作成します${span}。`,
+  ];
+  if (rule.deadline_days_before != null) lines.push(`締切: 最初の候補日の${rule.deadline_days_before}日前`);
+  if (rule.shop_query) lines.push(`お店の希望: ${rule.shop_query}`);
+  lines.push(`一覧は「@ボット 定例」、停止は「@ボット 定例停止 ${rule.seq}」です。`);
+  await safeReply(client, replyToken, [{ type: 'text', text: lines.join('\n') }]);
+}
+
+const COMMAND_LABELS = {
+  tally: '集計',
+  deadline: '締切の設定',
+  close: '締め切り',
+  reopen: '再開',
+  cancel: 'キャンセル',
+  undo: '確定の取り消し',
+  attendees: '参加者の確認',
+  settle: '会計',
+  paid: '支払いの記録',
+  payments: '集金状況の確認',
+  meeting_point: '集まりやすい駅の確認',
+  shop_votes: 'お店の投票の確認',
+  shop_decide: 'お店の決定',
+  reservation: '予約の準備',
+  reserved: '予約の記録',
+  overview: 'イベント概要の表示',
+};
+const STATUS_LABELS = { open: '回答受付中', closing: '日程の確定待ち', closed: '確定済み', cancelled: 'キャンセル済み' };
+const CLEAR_DEADLINE = /^(?:なし|無し|解除|クリア|取り消し)$/;
+// Commands that change a poll's course; only its organizer may run them (see isPollOrganizer)
+const ORGANIZER_COMMANDS = new Set(['deadline', 'close', 'reopen', 'undo', 'cancel']);
+
+// Organizer commands, typed ("@ボット #2 締める") or sent back from their quick replies/confirm buttons.
+// target: the poll named by "#n" or by the postback; otherwise the group's only poll the command applies to.
+// actor: { userId, name } of the member who sent it, recorded for changes that undo someone else's action.
+async function handleCommand({ client, db, scheduler, replyToken, groupId, name, arg = '', target = null, actor = {} }) {
+  const reply = (text, extra = {}) => safeReply(client, replyToken, [{ type: 'text', text, ...extra }]);
+
+  if (name === 'help') {
+    await reply(HELP_TEXT, {
+      quickReply: commandQuickReply([
+        { label: '一覧', data: 'cmd:list' },
+        { label: '集計', data: 'cmd:tally' },
+      ]),
+    });
+    return;
+  }
+  if (name === 'calendar') {
+    const token = arg === '再発行' ? db.rotateCalendarToken(groupId) : db.getCalendarToken(groupId);
+    const url = calendarFeedUrl(token);
+    if (!url) {
+      await reply('カレンダー配信を使うには、サーバーに PUBLIC_BASE_URL を設定してください。');
+      return;
+    }
+    await reply([
+      arg === '再発行' ? 'カレンダーのURLを再発行しました。以前のURLは使えなくなります。' : 'このグループで確定した予定をまとめて購読できるカレンダーのURLです。',
+      url,
+      `iPhone/Mac: ${url.replace(/^https?:/, 'webcal:')}`,
+      'Googleカレンダー: 「他のカレンダー」→「URLで追加」に貼り付けてください。',
+      'URLを知っている人は誰でも予定を見られるので、グループの外には共有しないでください（「@ボット カレンダー 再発行」で作り直せます）。',
+    ].join('\n'));
+    return;
+  }
+  if (name === 'recurring') {
+    const rules = db.listRecurringRules(groupId);
+    await reply(rules.length
+      ? ['定例の一覧:', ...rules.map(describeRecurringRule), '', '停止するには「@ボット 定例停止 番号」と送ってください。'].join('\n')
+      : '登録されている定例はありません。「@ボット 毎月第2週の平日で定例会」のように登録できます。');
+    return;
+  }
+  if (name === 'recurring_stop') {
+    const rules = db.listRecurringRules(groupId);
+    const rule = arg ? db.getRecurringRuleBySeq(groupId, Number(arg)) : rules.length === 1 ? rules[0] : null;
+    if (!rule) {
+      if (!arg && rules.length > 1) {
+        await reply('どの定例を停止しますか？', {
+          quickReply: commandQuickReply(rules.map((r) => ({ label: `${r.seq}. ${r.title}`, data: `cmd:recurring_stop::${r.seq}` }))),
+        });
+      } else {
+        await reply(arg ? `定例 ${arg} は見つかりませんでした。「@ボット 定例」で番号を確認できます。` : '登録されている定例はありません。');
+      }
+      return;
+    }
+    db.deactivateRecurringRule(rule.id);
+    scheduler.cancel(`recurring:${rule.id}`);
+    await reply(`定例「${rule.title}」を停止しました。作成済みの投票はそのまま残ります。`);
+    return;
+  }
+  // A member's nearest station: "最寄り駅 渋谷" registers it, "最寄り駅" shows it, "最寄り駅 削除" removes it
+  if (name === 'station') {
+    if (!actor.userId) {
+      await reply('メンバーを確認できませんでした。');
+      return;
+    }
+    const who = actor.name ? `${actor.name}さん` : 'あなた';
+    if (!arg) {
+      const st = db.getMemberStation(actor.userId);
+      await reply(st
+        ? `${who}の最寄り駅は「${st.name}」で登録されています。変えるときは「@ボット 最寄り駅 渋谷」のように送ってください。`
+        : '最寄り駅は未登録です。「@ボット 最寄り駅 渋谷」のように登録すると、エリアを指定せずにお店を探すとき、みんなが集まりやすい駅の周辺で探します。');
+      return;
+    }
+    if (/^(?:削除|解除|クリア|取り消し)$/.test(arg)) {
+      await reply(db.deleteMemberStation(actor.userId) ? `${who}の最寄り駅の登録を削除しました。` : '最寄り駅は登録されていません。');
+      return;
+    }
+    let station = null;
+    try {
+      station = await resolveHomeStation(arg);
+    } catch (e) {
+      console.error('[Station] resolve failed:', e);
+      await reply('駅の検索中にエラーが発生しました。しばらくしてからもう一度お試しください。');
+      return;
+    }
+    if (!station) {
+      await reply(`「${arg}」という駅が見つかりませんでした。「@ボット 最寄り駅 武蔵小杉」のように駅名で送ってください。`);
+      return;
+    }
+    db.setMemberStation(actor.userId, actor.name || null, station);
+    await reply(`${who}の最寄り駅を「${station.name}」で登録しました。エリアを指定せずにお店を探すと、みんなが集まりやすい駅の周辺で探します。`);
+    return;
+  }
+  // Event reminders: "リマインド停止" stops mentioning the sender, "リマインド停止 グループ" stops them for the group
+  if (name === 'event_reminder_off' || name === 'event_reminder_on') {
+    const on = name === 'event_reminder_on';
+    if (arg) {
+      db.updateGroupSettings(groupId, { eventRemindersEnabled: on });
+      for (const p of db.listFinalizedPollsForGroup(groupId)) scheduleEventReminders(scheduler, db, p.id);
+      await reply(on
+        ? 'このグループの予定の前日・当日のリマインドを再開しました。'
+        : 'このグループの予定の前日・当日のリマインドを止めました。「@ボット リマインド再開 グループ」で再開できます。');
+      return;
+    }
+    if (!actor.userId) {
+      await reply('メンバーを確認できませんでした。');
+      return;
+    }
+    const changed = db.setEventReminderOptOut({ groupId, userId: actor.userId, userName: actor.name, optOut: !on });
+    const who = actor.name ? `${actor.name}さん` : 'あなた';
+    if (!changed) {
+      await reply(on ? `${who}はすでにリマインドでお知らせする設定です。` : `${who}はすでにリマインドでメンションしない設定です。`);
+      return;
+    }
+    await reply(on
+      ? `予定の前日・当日のリマインドで${who}をメンションしてお知らせします。`
+      : `予定の前日・当日のリマインドで${who}をメンションしないようにしました（リマインド自体はグループに届きます）。「@ボット リマインド再開」で戻せます。`);
+    return;
+  }
+  // Shop search with the preference carried over from a recurring rule (quick reply after finalizing)
+  if (name === 'shop') {
+    if (!target || target.follow_up_state !== 'question_sent' || !target.shop_query) {
+      await reply('このイベントのお店はすでに案内済みです。');
+      return;
+    }
+    await searchShopsForPoll({ client, db, groupId, replyToken, poll: target, query: target.shop_query, actor });
+    return;
+  }
+  if (name === 'list') {
+    const polls = db.listActivePollsForGroup(groupId);
+    const voterCounts = new Map(polls.map((p) => [p.id, db.getPollVoters(p.id).length]));
+    const tallyButtons = polls
+      .filter((p) => COMMAND_STATUSES.tally.includes(p.status))
+      .map((p) => ({ label: `${pollRef(p)} 集計`, data: `cmd:tally:${p.id}`, displayText: `${formatPollTitle(p)} の集計` }));
+    await reply(formatPollList(polls, voterCounts), tallyButtons.length ? { quickReply: commandQuickReply(tallyButtons) } : {});
+    return;
+  }
+
+  const statuses = COMMAND_STATUSES[name];
+  if (!statuses) return;
+  let poll = target;
+  if (poll && !statuses.includes(poll.status)) {
+    const hint = poll.status === 'closed' && name === 'reopen' ? '確定した日程を選び直すには「@ボット やり直す」を使ってください。' : '';
+    await reply(`「${formatPollTitle(poll)}」は${STATUS_LABELS[poll.status] || poll.status}のため、${COMMAND_LABELS[name]}はできません。${hint}`);
+    return;
+  }
+  // "やり直す" right after a mistaken tap, or "会計"/"参加者"/"概要" after the date is fixed: the group's most recently finalized poll
+  if (!poll && (name === 'undo' || name === 'settle' || name === 'attendees' || name === 'overview')) {
+    poll = db.getLatestFinalizedPoll(groupId);
+    if (!poll) {
+      await reply('確定済みの投票がありません。');
+      return;
+    }
+  }
+  // Reservations are for the group's most recently decided venue
+  if (!poll && (name === 'reservation' || name === 'reserved')) {
+    poll = db.getLatestVenuePoll(groupId);
+    if (!poll) {
+      await reply('お店がまだ決まっていません。お店の投票を締め切ると予約の準備ができます。');
+      return;
+    }
+  }
+  // Shop votes belong to the group's latest shop search
+  if (!poll && (name === 'shop_votes' || name === 'shop_decide')) {
+    poll = db.getLatestShopVotePoll(groupId);
+    if (!poll) {
+      await reply('お店の投票はまだありません。日程が確定したら「@ボット 渋谷で居酒屋」のようにお店を探せます。');
+      return;
+    }
+  }
+  // Payments belong to the group's latest bill split
+  if (!poll && (name === 'paid' || name === 'payments')) {
+    poll = db.getLatestSettledPoll(groupId);
+    if (!poll) {
+      await reply('まだ会計が登録されていません。「@ボット 会計 42000円」で割り勘を計算できます。');
+      return;
+    }
+  }
+  if (!poll) {
+    const candidates = db.listActivePollsForGroup(groupId).filter((p) => statuses.includes(p.status));
+    if (!candidates.length) {
+      const hint = name === 'reopen' && db.getLatestFinalizedPoll(groupId)
+        ? '確定した日程を選び直すには「@ボット やり直す」を使ってください。'
+        : '「@ボット 一覧」で進行中の投票を確認できます。';
+      await reply(`${COMMAND_LABELS[name]}の対象になる投票がありません。${hint}`);
+      return;
+    }
+    if (candidates.length > 1) {
+      const suffix = arg ? `:${arg}` : '';
+      await reply(`どの投票が対象ですか？（${COMMAND_LABELS[name]}）`, {
+        quickReply: commandQuickReply(
+          candidates.map((p) => ({ label: formatPollTitle(p), data: `cmd:${name}:${p.id}${suffix}` }))
+        ),
+      });
+      return;
+    }
+    poll = candidates[0];
+  }
+  const title = formatPollTitle(poll);
+
+  // Showing the deadline and backing out of a confirmation stay open to everyone
+  if (ORGANIZER_COMMANDS.has(name) && !isPollOrganizer(poll, actor) && arg !== 'abort' && !(name === 'deadline' && !arg)) {
+    await reply(`${COMMAND_LABELS[name]}ができるのは「${title}」の幹事（投票を作った人）だけです。`);
+    return;
+  }
+
+  if (name === 'tally') {
+    const rows = db.getPollTally3(poll.id);
+    const lines = [`「${title}」の集計（回答${db.getPollVoters(poll.id).length}人）`, formatTally3(rows)];
+    if (poll.deadline) lines.push(`締切: ${formatJst(poll.deadline)}`);
+    const next = poll.status === 'open'
+      ? { label: '締める', data: `cmd:close:${poll.id}`, displayText: `${title} を締める` }
+      : { label: '再開', data: `cmd:reopen:${poll.id}`, displayText: `${title} を再開` };
+    await reply(lines.join('\n'), { quickReply: commandQuickReply([next]) });
+    return;
+  }
+
+  if (name === 'meeting_point') {
+    const members = pollMembers(db, poll);
+    const origins = stationOrigins(db, members);
+    const missing = members.filter((m) => !db.getMemberStation(m.userId)).map((m) => m.name || '名前未設定');
+    if (origins.length < 2) {
+      await reply(`「${title}」で最寄り駅を登録している人が${origins.length}人のため、集まりやすい駅を計算できません。各自「@ボット 最寄り駅 渋谷」のように登録してください。`);
+      return;
+    }
+    let points = null;
+    try {
+      points = await findFairMeetingPoints(origins);
+    } catch (e) {
+      console.error('[MeetingPoint] failed:', e);
+      await reply(`集まりやすい駅を計算できませんでした。\n${e.message}`);
+      return;
+    }
+    const lines = [`「${title}」の${origins.length}人の最寄り駅から見て集まりやすい駅:`];
+    points.forEach((p, i) => {
+      lines.push(`${i + 1}. ${p.name}（一番遠い人 約${formatKm(p.max_m)}・平均 約${formatKm(p.total_m / p.distances.length)}）`);
+    });
+    lines.push('距離は直線距離の目安です。エリアを指定せずにお店を探すと、上位の駅の周辺で探します。');
+    if (missing.length) lines.push(`最寄り駅が未登録: ${missing.join('、')}`);
+    await reply(lines.join('\n'));
+    return;
+  }
+
+  if (name === 'deadline') {
+    if (!arg) {
+      await reply(poll.deadline
+        ? `「${title}」の締切: ${formatJst(poll.deadline)}`
+        : `「${title}」には締切がありません。「@ボット 締切 10/5 21:00」のように設定できます。`);
+      return;
+    }
+    let ts = null;
+    if (!CLEAR_DEADLINE.test(arg)) {
+      ts = parseJstDateTime(arg);
+      if (ts == null) {
+        await reply('日時を読み取れませんでした。「@ボット 締切 10/5 21:00」のように指定してください。');
+        return;
+      }
+      if (ts <= Date.now()) {
+        await reply('過去の日時は締切にできません。');
+        return;
+      }
+    }
+    db.setPollDeadline(poll.id, ts, actor);
+    schedulePollDeadline(scheduler, poll.id, ts);
+    schedulePollReminders(scheduler, db, poll.id);
+    publish(poll.id, { type: 'deadline', deadline: ts });
+    await reply(ts ? `「${title}」の締切を ${formatJst(ts)} に設定しました。` : `「${title}」の締切を解除しました。`);
+    return;
+  }
+
+  if (name === 'close') {
+    await startFinalize({ client, db, replyToken, poll, actor, lead: `「${title}」を締め切りました。最終候補を選んでください。` });
+    return;
+  }
+
+  if (name === 'reopen') {
+    db.setPollStatus(poll.id, 'open', actor);
+    const expired = resumeVoting({ db, scheduler, poll, actor });
+    await reply(`「${title}」の回答受付を再開しました。${expired ? '締切は過ぎていたため解除しました。' : ''}`);
+    return;
+  }
+
+  if (name === 'undo') {
+    const finalized = formatFinalizedLabel(poll);
+    if (arg === 'abort') {
+      await reply('確定はそのままにしました。');
+      return;
+    }
+    if (arg !== 'closing' && arg !== 'open') {
+      const text = shorten(`「${title}」の確定${finalized ? `（${finalized}）` : ''}を取り消しますか？`, 160);
+      await safeReply(client, replyToken, [
+        {
+          type: 'template',
+          altText: text,
+          template: {
+            type: 'buttons',
+            text,
+            actions: [
+              { type: 'postback', label: '候補を選び直す', data: `cmd:undo:${poll.id}:closing`, displayText: '候補を選び直す' },
+              { type: 'postback', label: '投票を再開する', data: `cmd:undo:${poll.id}:open`, displayText: '投票を再開する' },
+              { type: 'postback', label: 'やめる', data: `cmd:undo:${poll.id}:abort`, displayText: 'やめる' },
+            ],
+          },
+        },
+      ]);
+      return;
+    }
+    const settlement = db.getLatestSettlement(poll.id);
+    if (!db.undoPollFinalization(poll.id, { status: arg, actor })) {
+      await reply('この投票はすでに取り消されています。');
+      return;
+    }
+    scheduler.cancelPrefix(`event:${poll.id}:`);
+    scheduler.cancelPrefix(`payment:${poll.id}:`);
+    console.log(`[UNDO] poll=${poll.id} by=${actor.userId || 'unknown'} -> ${arg}`);
+    const who = actor.name ? `${actor.name}さんが` : '';
+    const booked = poll.reservation_status === 'reserved' && poll.venue_name;
+    const lead =
+      `${who}「${title}」の確定${finalized ? `（${finalized}）` : ''}を取り消しました。` +
+      (booked ? `「${poll.venue_name}」の予約は日程が変わるため未予約に戻しました。お店への変更・キャンセルの連絡をお願いします。` : '') +
+      (settlement ? '会計（割り勘）も無効にし、支払いのリマインドを止めました。' : '');
+    if (arg === 'closing') {
+      await startFinalize({ client, db, replyToken, poll, actor, lead: `${lead}最終候補を選び直してください。` });
+      return;
+    }
+    const expired = resumeVoting({ db, scheduler, poll, actor });
+    await reply(`${lead}回答の受付を再開します。${expired ? '締切は過ぎていたため解除しました。' : ''}`);
+    return;
+  }
+
+  if (name === 'overview') {
+    const { flex, hash } = buildEventSummary(db, poll);
+    db.setPollSummaryHash(poll.id, hash);
+    await safeReply(client, replyToken, [flex]);
+    return;
+  }
+
+  if (name === 'attendees') {
+    await reply(formatAttendance(title, db.getRsvps(poll.id)), {
+      quickReply: commandQuickReply([
+        { label: '参加する', data: `rsvp:${poll.id}:yes`, displayText: '参加します' },
+        { label: '不参加', data: `rsvp:${poll.id}:no`, displayText: '不参加です' },
+      ]),
+    });
+    return;
+  }
+
+  if (name === 'shop_votes' || name === 'shop_decide') {
+    const vote = db.getShopVote(poll.id);
+    if (!vote) {
+      await reply(`「${title}」のお店の候補はまだありません。`);
+      return;
+    }
+    if (name === 'shop_votes' || vote.closedAt) {
+      const decide = vote.closedAt ? [] : vote.candidates.map((c) => ({
+        label: `決定: ${c.name}`,
+        data: `cmd:shop_decide:${poll.id}:${c.position + 1}`,
+        displayText: `「${c.name}」に決定`,
+      }));
+      await reply(formatShopVote(title, vote, poll), decide.length ? { quickReply: commandQuickReply(decide) } : {});
+      return;
+    }
+    if (!isPollOrganizer(poll, actor)) {
+      await reply(`お店を決定できるのは「${title}」の幹事だけです。`);
+      return;
+    }
+    // "お店決定 2" or "お店決定 鳥貴族" picks a shop; without an argument the one with the most votes
+    const candidate = arg
+      ? vote.candidates.find((c) => c.position + 1 === Number(arg)) || vote.candidates.find((c) => c.name.includes(arg))
+      : shopVoteLeader(vote);
+    if (!candidate) {
+      await reply(arg ? `「${arg}」はお店の候補にありません。` : '投票が同数か、まだ投票がありません。決めるお店を選んでください。', {
+        quickReply: commandQuickReply(vote.candidates.map((c) => ({
+          label: `決定: ${c.name}`,
+          data: `cmd:shop_decide:${poll.id}:${c.position + 1}`,
+          displayText: `「${c.name}」に決定`,
+        }))),
+      });
+      return;
+    }
+    await safeReply(client, replyToken, decideShop({ db, scheduler, poll, candidate, actor }) || [{ type: 'text', text: 'お店の投票はすでに締め切られています。' }]);
+    return;
+  }
+
+  if (name === 'reservation' || name === 'reserved') {
+    if (!poll.venue_name) {
+      await reply(`「${title}」のお店はまだ決まっていません。お店の投票を締め切ると予約の準備ができます。`);
+      return;
+    }
+    const headcount = db.getPollAttendees(poll.id).length;
+    if (name === 'reservation') {
+      await safeReply(client, replyToken, [buildReservationFlex({ poll, title, headcount })]);
+      return;
+    }
+    // "予約完了" records the booking under the sender's name unless another name is given ("予約完了 山田")
+    const reservationName = arg.replace(/(?:の名前|名義)?で?$/, '').trim() || actor.name || null;
+    if (!db.setPollReservation(poll.id, reservationName, actor)) {
+      await reply(`「${poll.venue_name}」は${reservationName ? `${reservationName}さんの名前で` : ''}予約済みです。`);
+      return;
+    }
+    console.log(`[RESERVATION] poll=${poll.id} name=${reservationName || '-'} by=${actor.userId || 'unknown'}`);
+    scheduleEventSummary(scheduler, poll.id);
+    publish(poll.id, { type: 'reservation' });
+    const updated = db.getPoll(poll.id).poll;
+    await safeReply(client, replyToken, [
+      { type: 'text', text: `「${poll.venue_name}」の予約完了を記録しました${reservationName ? `（予約名: ${reservationName}）` : ''}。` },
+      buildReservationFlex({ poll: updated, title, headcount }),
+    ]);
+    return;
+  }
+
+  if (name === 'settle') {
+    const when = formatFinalizedLabel(poll);
+    // "@ボット 会計" alone shows the current breakdown again
+    const latest = arg ? null : db.getLatestSettlement(poll.id);
+    if (latest) {
+      await safeReply(client, replyToken, [buildSettlementFlex({ pollId: poll.id, title, when, settlement: latest })]);
+      return;
+    }
+    const request = parseSettlementRequest(arg);
+    if (request.error) {
+      await reply(request.error);
+      return;
+    }
+    const settings = db.getGroupSettings(poll.group_id);
+    const attendees = db.getPollAttendees(poll.id);
+    const members = buildSettlementMembers({
+      attendees,
+      adjustments: request.adjustments,
+      headcount: request.headcount,
+      weights: settings.settlementWeights,
+    });
+    if (!members.length) {
+      await reply(`「${title}」の参加予定の人がいません。「@ボット 会計 42000円 8人」のように人数を指定してください。`);
+      return;
+    }
+    const unit = request.unit || Number(settings.settlementUnit) || 100;
+    const result = computeSettlement({ total: request.total, members, unit, mode: request.mode });
+    // Splitting again keeps the payments already recorded for the same people
+    const previous = db.getLatestSettlement(poll.id);
+    let carried = 0;
+    for (const row of result.rows) {
+      const before = previous?.rows.find((r) => (row.userId ? r.userId === row.userId : !r.userId && r.name === row.name));
+      if (before?.paidAt) {
+        row.paidAt = before.paidAt;
+        carried++;
+      }
+    }
+    const saved = db.createSettlement(poll.id, { total: request.total, unit, mode: request.mode, ...result }, actor);
+    schedulePaymentReminders(scheduler, db, saved);
+    scheduleEventSummary(scheduler, poll.id);
+    publish(poll.id, { type: 'settlement' });
+    console.log(`[SETTLE] poll=${poll.id} total=${request.total} members=${members.length} unit=${unit} diff=${result.diff}`);
+    const notes = [];
+    if (carried) notes.push(`支払い済みの記録（${carried}人）は引き継ぎました。`);
+    if (request.headcount && request.headcount < members.length) {
+      notes.push(`指定の${request.headcount}人より参加者（参加予定の人と名前を挙げた人）が多いため、${members.length}人で計算しました。`);
+    }
+    if (result.collected < request.total && result.rows.every((r) => r.amount != null)) {
+      notes.push('全員が金額指定のため、合計に足りない分は幹事負担になります。');
+    }
+    await safeReply(client, replyToken, [
+      buildSettlementFlex({ pollId: poll.id, title, when, settlement: saved }),
+      ...(notes.length ? [{ type: 'text', text: notes.join('\n') }] : []),
+    ]);
+    await finishSettlementIfPaid({ client, db, scheduler, settlementId: saved.id });
+    return;
+  }
+
+  if (name === 'paid' || name === 'payments') {
+    const settlement = db.getLatestSettlement(poll.id);
+    if (!settlement) {
+      await reply(`「${title}」の会計はまだ登録されていません。「@ボット 会計 42000円」で割り勘を計算できます。`);
+      return;
+    }
+    if (name === 'payments') {
+      await reply(formatPaymentStatus(title, settlement), settlement.completed_at ? {} : {
+        quickReply: commandQuickReply([{ label: '支払い済みにする', data: `paid:${settlement.id}`, displayText: '支払いました' }]),
+      });
+      return;
+    }
+    // Without names: the sender's own share. With names: the organizer records others' payments (e.g. cash handed over)
+    if (!arg) {
+      await recordPayments({ client, db, scheduler, replyToken, poll, settlement, actor, rows: ownSettlementRows(settlement, actor) });
+      return;
+    }
+    if (!isSettlementOrganizer(poll, settlement, actor)) {
+      await reply('ほかの人の支払いを記録できるのは幹事（会計を登録した人）だけです。ご自身の分は「@ボット 支払い済み」で記録できます。');
+      return;
+    }
+    const names = arg.split(/[\s、,]+/).filter(Boolean);
+    const rows = names.map((n) => findMemberByName(settlement.rows, n));
+    const unknown = names.filter((_, i) => !rows[i]);
+    if (unknown.length) {
+      await reply(`「${unknown.join('」「')}」は「${title}」の会計に見つかりませんでした。「@ボット 集金状況」で名前を確認できます。`);
+      return;
+    }
+    await recordPayments({ client, db, scheduler, replyToken, poll, settlement, actor, rows: [...new Set(rows)] });
+    return;
+  }
+
+  if (name === 'cancel') {
+    if (arg === 'abort') {
+      await reply('キャンセルを取りやめました。');
+      return;
+    }
+    const finalized = poll.status === 'closed';
+    if (arg !== 'confirm') {
+      const text = finalized
+        ? `確定済みの「${shorten(title, 60)}」をキャンセルしますか？予定は中止になり、元に戻せません。`
+        : `「${shorten(title, 60)}」をキャンセルしますか？投票は終了し、元に戻せません。`;
+      await safeReply(client, replyToken, [
+        {
+          type: 'template',
+          altText: text,
+          template: {
+            type: 'confirm',
+            text,
+            actions: [
+              { type: 'postback', label: 'はい', data: `cmd:cancel:${poll.id}:confirm`, displayText: 'はい' },
+              { type: 'postback', label: 'いいえ', data: `cmd:cancel:${poll.id}:abort`, displayText: 'いいえ' },
+            ],
+          },
+        },
+      ]);
+      return;
+    }
+    db.setPollStatus(poll.id, 'cancelled', actor);
+    if (poll.follow_up_state === 'question_sent') db.setPollFollowUpState(poll.id, null, actor);
+    scheduler.cancel(`deadline:${poll.id}`);
+    scheduler.cancelPrefix(`reminder:${poll.id}:`);
+    scheduler.cancelPrefix(`event:${poll.id}:`);
+    publish(poll.id, { type: 'status', status: 'cancelled' });
+    // A cancelled event stays in the calendar feed as cancelled, so subscribers see it disappear
+    await reply(`「${title}」をキャンセルしました。${finalized ? '購読中のカレンダーからも取り消されます。' : ''}`);
+  }
+}
+
+// Replies of the RSVP round, and ○ voters who have not replied yet (counted as attending meanwhile)
+// rsvps: output of db.getRsvps()
+function formatAttendance(title, { attending, declined, pending }) {
+  const names = (list) => list.map((m) => m.name || '名前未設定').join('、');
+  const lines = [`「${title}」の参加予定: ${attending.length + pending.length}人`];
+  lines.push(`参加 ${attending.length}人${attending.length ? `: ${names(attending)}` : ''}`);
+  if (pending.length) lines.push(`未回答（○の人） ${pending.length}人: ${names(pending)}`);
+  if (declined.length) lines.push(`不参加 ${declined.length}人: ${names(declined)}`);
+  return lines.join('\n');
+}
+
+// The shop vote as a chat message: votes per shop, or the decided shop once closed
+// vote: output of db.getShopVote()
+function formatShopVote(title, vote, poll) {
+  const voters = vote.candidates.reduce((n, c) => n + c.voters.length, 0);
+  const lines = [vote.closedAt
+    ? `「${title}」のお店は「${poll.venue_name}」に決まりました。`
+    : `「${title}」のお店の投票（${voters}人が投票）`];
+  for (const c of vote.candidates) {
+    const names = c.voters.map((v) => v.name || '名前未設定').join('、');
+    lines.push(`${c.position + 1}. ${c.name} ${c.voters.length}票${names ? `（${names}）` : ''}`);
+  }
+  return lines.join('\n');
+}
+
+// The shop with the most votes, or null on a tie or before anyone voted
+function shopVoteLeader(vote) {
+  const [first, second] = [...vote.candidates].sort((a, b) => b.voters.length - a.voters.length);
+  if (!first?.voters.length || first.voters.length === second?.voters.length) return null;
+  return first;
+}
+
+// The poll's creator runs the event; polls without a recorded creator (older rows) accept anyone
+function isPollOrganizer(poll, actor) {
+  return !poll.created_by || (!!actor.userId && actor.userId === poll.created_by);
+}
+
+// Close the shop vote with candidate as the venue (chat command or the LIFF form).
+// Returns the messages for the group (announcement and reservation kit), or null when the vote was already closed.
+export function decideShop({ db, scheduler, poll, candidate, actor = null }) {
+  if (!db.closeShopVote(poll.id, candidate, actor)) return null;
+  console.log(`[SHOP] poll=${poll.id} venue="${candidate.name}" by=${actor?.userId || 'unknown'}`);
+  scheduleEventSummary(scheduler, poll.id);
+  publish(poll.id, { type: 'shop_vote' });
+  const votes = db.getShopVote(poll.id).candidates.find((c) => c.id === candidate.id)?.voters.length || 0;
+  const who = actor?.name ? `${actor.name}さんが` : '';
+  const title = formatPollTitle(poll);
+  const text = [
+    `${who}「${title}」のお店を「${candidate.name}」（${votes}票）に決定しました。`,
+    candidate.address ? `住所: ${candidate.address}` : null,
+    '予約したら「予約完了」を押してください。',
+  ].filter(Boolean).join('\n');
+  const headcount = db.getPollAttendees(poll.id).length;
+  return [{ type: 'text', text }, buildReservationFlex({ poll: db.getPoll(poll.id).poll, title, headcount })];
+}
+
+// Who may record payments for others: whoever registered the split, or the poll's creator
+function isSettlementOrganizer(poll, settlement, actor) {
+  return !!actor.userId && (actor.userId === settlement.created_by || actor.userId === poll.created_by);
+}
+
+// The sender's row: by user ID, or by display name for someone the organizer added by name
+function ownSettlementRows(settlement, actor) {
+  const byId = settlement.rows.filter((r) => r.userId && r.userId === actor.userId);
+  if (byId.length || !actor.name) return byId;
+  const byName = findMemberByName(settlement.rows.filter((r) => !r.userId), actor.name);
+  return byName ? [byName] : [];
+}
+
+function formatPaymentStatus(title, settlement) {
+  const unpaid = settlement.rows.filter((r) => !r.paidAt);
+  const received = settlement.rows.filter((r) => r.paidAt).reduce((sum, r) => sum + r.share, 0);
+  const lines = [
+    `「${title}」の集金状況（支払い済み ${settlement.rows.length - unpaid.length}/${settlement.rows.length}人）`,
+    `集金済み ${formatYen(received)} / ${formatYen(settlement.collected)}`,
+  ];
+  if (!unpaid.length) lines.push('全員のお支払いが完了しています。');
+  else lines.push('未払い:', ...unpaid.map((r) => `・${r.name}さん ${formatYen(r.share)}`));
+  return lines.join('\n');
+}
+
+// Mark rows of the current split as paid (from the Flex button or a chat command), then post the
+// final summary when nobody is left. rows: settlement rows; empty when the sender is not in the split.
+async function recordPayments({ client, db, scheduler, replyToken, poll, settlement, rows, actor }) {
+  const title = formatPollTitle(poll);
+  if (!rows.length) {
+    await safeReply(client, replyToken, [{
+      type: 'text',
+      text: `「${title}」の会計に${actor.name ? `${actor.name}さん` : 'あなた'}の分が見つかりませんでした。幹事の方は「@ボット 支払い済み 名前」で記録できます。`,
+    }]);
+    return;
+  }
+  const marked = rows.filter((r) => db.setSettlementPaid(settlement.id, r.position, true, actor));
+  const current = db.getSettlement(settlement.id);
+  if (marked.length) scheduleEventSummary(scheduler, poll.id);
+  publish(poll.id, { type: 'settlement' });
+  const unpaid = current.rows.filter((r) => !r.paidAt);
+  const rest = unpaid.length
+    ? `残り${unpaid.length}人（${formatYen(unpaid.reduce((sum, r) => sum + r.share, 0))}）です。`
+    : '';
+  const text = marked.length
+    ? `${marked.map((r) => `${r.name}さん（${formatYen(r.share)}）`).join('・')}の支払いを記録しました。${rest}`
+    : `${rows.map((r) => `${r.name}さん`).join('・')}はすでに支払い済みです。${rest}`;
+  await safeReply(client, replyToken, [{ type: 'text', text }]);
+  await finishSettlementIfPaid({ client, db, scheduler, settlementId: settlement.id });
+}
+
+// Back to collecting answers (status already 'open'): re-plan deadline and reminder jobs.
+// A deadline already in the past would close it again right away, so it is cleared; returns true in that case.
+function resumeVoting({ db, scheduler, poll, actor = null }) {
+  const expired = !!poll.deadline && Number(poll.deadline) <= Date.now();
+  if (expired) db.setPollDeadline(poll.id, null, actor);
+  schedulePollDeadline(scheduler, poll.id, expired ? null : poll.deadline && Number(poll.deadline));
+  schedulePollReminders(scheduler, db, poll.id);
+  publish(poll.id, { type: 'status', status: 'open' });
+  return expired;
+}
+
+// Close a poll and offer the ranked candidates for the final pick
+async function startFinalize({ client, db, replyToken, poll, lead, actor = null }) {
+  const { options } = db.getPoll(poll.id);
+  db.setPollStatus(poll.id, 'closing', actor);
+  publish(poll.id, { type: 'status', status: 'closing' });
+  const { rules, ranked } = decidePoll(db, { poll, options });
+  const flex = buildFinalizeCarousel({ pollId: poll.id, title: formatPollTitle(poll), ranked });
+  await safeReply(client, replyToken, [{ type: 'text', text: `${lead}\n${describeRules(rules)}` }, flex]);
+}
+
+async function handlePostback({ client, db, scheduler, event }) {
   const data = event.postback?.data || '';
   const replyToken = event.replyToken;
   const userId = event.source.userId;
   const userName = await getDisplayNameSafe(client, event.source);
 
+  if (data.startsWith('cmd:')) {
+    const [, name, pollId, ...rest] = data.split(':');
+    const groupId = event.source.groupId || event.source.roomId || event.source.userId;
+    let target = null;
+    if (pollId) {
+      target = db.getPoll(pollId)?.poll || null;
+      if (!target || target.group_id !== groupId) {
+        await safeReply(client, replyToken, [{ type: 'text', text: '対象の投票が見つかりませんでした。' }]);
+        return;
+      }
+    }
+    const actor = { userId, name: userName };
+    await handleCommand({ client, db, scheduler, replyToken, groupId, name, arg: rest.join(':'), target, actor });
+    return;
+  }
+
+  // 参加/不参加 for a finalized date
+  if (data.startsWith('rsvp:')) {
+    const [, pollId, answer] = data.split(':');
+    const poll = db.getPoll(pollId)?.poll;
+    const groupId = event.source.groupId || event.source.roomId || event.source.userId;
+    if (!poll || poll.group_id !== groupId) {
+      await safeReply(client, replyToken, [{ type: 'text', text: '対象の予定が見つかりませんでした。' }]);
+      return;
+    }
+    if (poll.status !== 'closed') {
+      await safeReply(client, replyToken, [{ type: 'text', text: poll.status === 'cancelled' ? 'この予定はキャンセルされています。' : 'この予定の日程はまだ確定していません。' }]);
+      return;
+    }
+    const attending = answer === 'yes';
+    const changed = db.setRsvp({ pollId, userId, userName, attending });
+    if (changed) scheduleEventSummary(scheduler, pollId);
+    publish(pollId, { type: 'rsvp' });
+    const { attending: yes, declined: no } = db.getRsvps(pollId);
+    const who = userName ? `${userName}さん` : '';
+    const label = attending ? '参加' : '不参加';
+    await safeReply(client, replyToken, [{
+      type: 'text',
+      text: `${changed ? `${who}の${label}を受け付けました` : `${who}は${label}で受け付け済みです`}（参加 ${yes.length}人・不参加 ${no.length}人）`,
+    }]);
+    return;
+  }
+
+  // "ここに投票" on a shop carousel; one vote per member, a second tap moves it
+  if (data.startsWith('shopvote:')) {
+    const candidate = db.getShopCandidate(data.slice('shopvote:'.length));
+    const poll = candidate ? db.getPoll(candidate.poll_id)?.poll : null;
+    const groupId = event.source.groupId || event.source.roomId || event.source.userId;
+    if (!poll || poll.group_id !== groupId) {
+      await safeReply(client, replyToken, [{ type: 'text', text: 'このお店の候補は新しい検索結果に置き換わりました。最新の候補から投票してください。' }]);
+      return;
+    }
+    if (poll.status !== 'closed') {
+      await safeReply(client, replyToken, [{ type: 'text', text: poll.status === 'cancelled' ? 'この予定はキャンセルされています。' : 'この予定の日程は確定していません。' }]);
+      return;
+    }
+    let vote = db.getShopVote(poll.id);
+    if (vote.closedAt) {
+      await safeReply(client, replyToken, [{ type: 'text', text: `お店の投票は締め切られています（決定: ${poll.venue_name || '-'}）。` }]);
+      return;
+    }
+    const changed = db.setShopVote({ pollId: poll.id, candidateId: candidate.id, userId, userName });
+    publish(poll.id, { type: 'shop_vote' });
+    vote = db.getShopVote(poll.id);
+    const who = userName ? `${userName}さん` : '';
+    const lead = changed ? `${who}の「${candidate.name}」への投票を受け付けました。` : `${who}は「${candidate.name}」に投票済みです。`;
+    await safeReply(client, replyToken, [{ type: 'text', text: `${lead}\n${formatShopVote(formatPollTitle(poll), vote, poll)}` }]);
+    return;
+  }
+
+  // "支払い済みにする" on a bill split: records the sender's own share
+  if (data.startsWith('paid:')) {
+    const settlement = db.getSettlement(data.slice('paid:'.length));
+    const poll = settlement ? db.getPoll(settlement.poll_id)?.poll : null;
+    const groupId = event.source.groupId || event.source.roomId || event.source.userId;
+    if (!poll || poll.group_id !== groupId) {
+      await safeReply(client, replyToken, [{ type: 'text', text: '対象の会計が見つかりませんでした。' }]);
+      return;
+    }
+    if (settlement.voided_at) {
+      await safeReply(client, replyToken, [{ type: 'text', text: '日程の確定が取り消されたため、この会計は無効になっています。' }]);
+      return;
+    }
+    if (db.getLatestSettlement(poll.id)?.id !== settlement.id) {
+      await safeReply(client, replyToken, [{ type: 'text', text: 'この会計は計算し直されています。最新の内訳の「支払い済みにする」を押してください。' }]);
+      return;
+    }
+    const actor = { userId, name: userName };
+    await recordPayments({ client, db, scheduler, replyToken, poll, settlement, rows: ownSettlementRows(settlement, actor), actor });
+    return;
+  }
+
   if (data.startsWith('vote:')) {
     const [, pollId, optionId] = data.split(':');
     try {
@@ -206,53 +1327,24 @@ async function handlePostback({ client, db, event }) {
       await safeReply(client, replyToken, [{ type: 'text', text: '対象の投票が見つかりませんでした。' }]);
       return;
     }
-    const { poll, options } = d;
+    const { poll } = d;
     // After someone answered 'yes', mark as 'closing' so further yes/no are ignored
-    if (poll.status === 'closing' || poll.status === 'closed') {
-      await safeReply(client, replyToken, [{ type: 'text', text: poll.status === 'closed' ? 'すでに確定済みです。' : 'すでに締切処理中です。' }]);
+    if (poll.status !== 'open') {
+      const text = { closed: 'すでに確定済みです。', closing: 'すでに締切処理中です。', cancelled: 'この投票はキャンセルされています。' }[poll.status];
+      await safeReply(client, replyToken, [{ type: 'text', text: text || 'この投票は受付を終了しています。' }]);
       return;
     }
 
     if (yn === 'yes') {
-      // switch to closing and offer choices
-      db.setPollStatus(pollId, 'closing');
-      // Present candidate options as a Flex with buttons to finalize
-      const tally = db.getPollTally3(pollId);
-      // Sort by yes desc, maybe desc, no asc
-      const byId = new Map(tally.map((t) => [t.option_id, t]));
-      const sorted = [...options].sort((a, b) => {
-        const ta = byId.get(a.id) || { yes_count: 0, maybe_count: 0, no_count: 0 };
-        const tb = byId.get(b.id) || { yes_count: 0, maybe_count: 0, no_count: 0 };
-        if (tb.yes_count !== ta.yes_count) return tb.yes_count - ta.yes_count;
-        if (tb.maybe_count !== ta.maybe_count) return tb.maybe_count - ta.maybe_count;
-        return ta.no_count - tb.no_count;
+      // switch to closing and offer the candidates, ranked by the group's decision rules
+      await startFinalize({
+        client,
+        db,
+        replyToken,
+        poll,
+        actor: { userId, name: userName },
+        lead: '締め切りの承認ありがとうございます。最終候補を選んでください。',
       });
-      const bubbles = sorted.slice(0, 10).map((opt) => {
-        const t = byId.get(opt.id) || { yes_count: 0, maybe_count: 0, no_count: 0 };
-        return {
-          type: 'bubble',
-          body: {
-            type: 'box',
-            layout: 'vertical',
-            spacing: 'sm',
-            contents: [
-              { type: 'text', text: poll.title || '候補日', weight: 'bold', size: 'sm', color: '#888888' },
-              { type: 'text', text: opt.label, weight: 'bold', size: 'md', wrap: true },
-              { type: 'text', text: `○${t.yes_count} / △${t.maybe_count} / ×${t.no_count}`, size: 'sm', color: '#666666' },
-            ],
-          },
-          footer: {
-            type: 'box', layout: 'vertical', contents: [
-              { type: 'button', style: 'primary', height: 'sm', color: '#00c300', action: { type: 'postback', label: 'この日にする', data: `finalize:${pollId}:${opt.id}` } }
-            ]
-          }
-        };
-      });
-      const flex = { type: 'flex', altText: '候補日の選択', contents: { type: 'carousel', contents: bubbles.length ? bubbles : [{ type: 'bubble', body: { type: 'box', layout:'vertical', contents: [{ type: 'text', text: '候補がありません' }] } }] } };
-      await safeReply(client, replyToken, [
-        { type: 'text', text: '締め切りの承認ありがとうございます。最終候補を選んでください。' },
-        flex,
-      ]);
     } else {
       // no は現状スルー（再通知はしない）。
       await safeReply(client, replyToken, [{ type: 'text', text: '了解しました。引き続き投票を受け付けます。' }]);
@@ -270,17 +1362,39 @@ async function handlePostback({ client, db, event }) {
         await safeReply(client, replyToken, [{ type: 'text', text: 'すでに確定済みです。' }]);
         return;
       }
+      if (poll.status === 'cancelled') {
+        await safeReply(client, replyToken, [{ type: 'text', text: 'この投票はキャンセルされています。' }]);
+        return;
+      }
       const opt = options.find((o) => o.id === optionId);
       if (!opt) throw new Error('option_not_found');
-      db.setPollStatus(pollId, 'closed');
-      db.setPollFinalizedDate(pollId, opt.date);
-      const text = `「${poll.title}」は ${opt.label} に確定しました。`; 
-      // Notify group
+      const actor = { userId, name: userName };
+      db.setPollStatus(pollId, 'closed', actor);
+      db.setPollFinalizedDate(pollId, opt.date, { startTime: opt.start_time, endTime: opt.end_time }, actor);
+      scheduleEventReminders(scheduler, db, pollId);
+      // Notify group (with an "add to calendar" button when the .ics export is reachable)
       if (poll.group_id) {
-        await safePush(client, poll.group_id, [{ type: 'text', text }]);
+        await safePush(client, poll.group_id, [
+          buildFinalizedFlex({ pollId, title: formatPollTitle(poll), when: formatOptionLabel(opt) }),
+        ]);
         // Follow-up question for restaurants
-        await safePush(client, poll.group_id, [{ type: 'text', text: '次に、お店の希望（エリアや料理ジャンルなど）を教えてください！'}]);
-        db.setPollFollowUpState(pollId, 'question_sent');
+        db.setPollFollowUpState(pollId, 'question_sent', actor);
+        // With several events in flight, the answer has to say which one it is for
+        const ask = db.listPollsAwaitingShop(poll.group_id).length > 1
+          ? `次に、「${formatPollTitle(poll)}」のお店の希望を「@ボット ${pollRef(poll)} 渋谷で居酒屋」のように番号付きで教えてください！`
+          : '次に、お店の希望（エリアや料理ジャンルなど）を教えてください！';
+        // Recurring events remember their usual shop preference
+        const usual = poll.shop_query
+          ? [{ label: 'いつもの条件で探す', data: `cmd:shop:${pollId}`, displayText: `${poll.shop_query}で探す` }]
+          : [];
+        await safePush(client, poll.group_id, [
+          {
+            type: 'text',
+            text: poll.shop_query ? `${ask}\nいつもの「${poll.shop_query}」で探すときはボタンを押してください。` : ask,
+            // A mistaken tap can be taken back (with confirmation)
+            quickReply: commandQuickReply([...usual, { label: '確定をやり直す', data: `cmd:undo:${pollId}` }]),
+          },
+        ]);
       }
       // Ack to the user (removed per user request)
     } catch (e) {
@@ -290,39 +1404,6 @@ async function handlePostback({ client, db, event }) {
   }
 }
 
-async function safeReply(client, replyToken, messages) {
-  try {
-    if (!replyToken) return;
-    await client.replyMessage(replyToken, messages);
-  } catch (e) {
-    console.error('reply failed:', e?.response?.data || e.message);
-  }
-}
-
-async function safePush(client, to, messages) {
-  try {
-    await client.pushMessage(to, messages);
-  } catch (e) {
-    console.error('push failed:', e?.response?.data || e.message);
-  }
-}
-
-// Try reply first; if token invalid/expired, push to group instead
-async function safeSend(client, replyToken, groupId, messages) {
-  try {
-    await client.replyMessage(replyToken, messages);
-  } catch (e) {
-    const data = e?.response?.data;
-    const msg = data?.message || e.message || '';
-    if (String(msg).toLowerCase().includes('invalid reply token') || String(msg).includes('expired')) {
-      const to = groupId || null;
-      if (to) return safePush(client, to, messages);
-    }
-    console.error('send failed:', data || e.message);
-  }
-}
-
-
 async function getDisplayNameSafe(client, source) {
   try {
     if (source.groupId && source.userId) {
@@ -349,7 +1430,7 @@ function formatTally(rows) {
 
 function formatTally3(rows) {
   return rows
-    .map((r) => `${r.label}: ○${r.yes_count} / △${r.maybe_count} / ×${r.no_count}`)
+    .map((r) => `${formatOptionLabel(r)}: ○${r.yes_count} / △${r.maybe_count} / ×${r.no_count}`)
     .join('\n');
 }
 
@@ -0,0 +1,32 @@
+// LINE group/room member helpers. Member ID listing only works for verified/premium accounts,
+// so callers must cope with empty results.
+
+export async function getAllMemberIds(client, groupOrRoomId) {
+  // Try group first, then room. SDK v9 returns string[] directly (pagination handled internally).
+  try {
+    const ids = await client.getGroupMemberIds(groupOrRoomId);
+    if (Array.isArray(ids) && ids.length) return ids;
+  } catch (_) {}
+  try {
+    const ids = await client.getRoomMemberIds(groupOrRoomId);
+    if (Array.isArray(ids) && ids.length) return ids;
+  } catch (_) {}
+  return [];
+}
+
+export async function getHumanMemberCount(client, groupOrRoomId) {
+  // Prefer official count API which includes users who haven't friended the bot and excludes the bot automatically.
+  try {
+    const res = await client.getGroupMembersCount(groupOrRoomId);
+    if (res && typeof res.count === 'number') {
+      return res.count;
+    }
+  } catch (_) {}
+  try {
+    const res = await client.getRoomMembersCount(groupOrRoomId);
+    if (res && typeof res.count === 'number') {
+      return res.count;
+    }
+  } catch (_) {}
+  return null;
+}
@@ -0,0 +1,41 @@
+// Sending messages to LINE. The safe* helpers swallow errors and are meant for replies and
+// fire-and-forget notices; scheduler job handlers use pushMessages so a failed push is retried.
+
+export async function pushMessages(client, to, messages) {
+  try {
+    await client.pushMessage(to, messages);
+  } catch (e) {
+    console.error('push failed:', e?.response?.data || e.message);
+    throw e;
+  }
+}
+
+export async function safePush(client, to, messages) {
+  try {
+    await pushMessages(client, to, messages);
+  } catch (_) {}
+}
+
+export async function safeReply(client, replyToken, messages) {
+  try {
+    if (!replyToken) return;
+    await client.replyMessage(replyToken, messages);
+  } catch (e) {
+    console.error('reply failed:', e?.response?.data || e.message);
+  }
+}
+
+// Try reply first; if token invalid/expired, push to group instead
+export async function safeSend(client, replyToken, groupId, messages) {
+  try {
+    await client.replyMessage(replyToken, messages);
+  } catch (e) {
+    const data = e?.response?.data;
+    const msg = data?.message || e.message || '';
+    if (String(msg).toLowerCase().includes('invalid reply token') || String(msg).includes('expired')) {
+      const to = groupId || null;
+      if (to) return safePush(client, to, messages);
+    }
+    console.error('send failed:', data || e.message);
+  }
+}
@@ -0,0 +1,164 @@
+// Recurring events (定例会): "@ボット 毎月第2週の平日で定例会" saves a rule, and the scheduler creates the
+// next month's poll ahead of time with the matching dates, the same title, deadline rule and shop preference.
+import dayjs from 'dayjs';
+import { TZ, formatDateJa, nowJst } from './time.js';
+
+export const DEFAULT_CREATE_DAY = 20; // next month's poll is created on this day of the month ...
+const CREATE_HOUR = 10; // ... at this hour (Japan time)
+const MAX_CANDIDATES = 10;
+const WEEKDAY_CHARS = '日月火水木金土';
+const PERIODS = { 上旬: [1, 10], 中旬: [11, 20], 下旬: [21, 31] };
+
+function normalize(text) {
+  return (text || '')
+    .replace(/[０-９：]/g, (c) => String.fromCharCode(c.charCodeAt(0) - 0xfee0))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// "19時", "19:30", "19時半" -> "19:30"
+function parseTime(h, m, half) {
+  const hour = Number(h);
+  const minute = m != null ? Number(m) : half ? 30 : 0;
+  if (hour > 23 || minute > 59) return null;
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+// Date part of a rule ("第2週の平日 19時〜") -> { weeks, weekdays, startTime, endTime }, or null without any date condition.
+// weeks: { kind: 'nth', n: [2] } (days 8-14 are the 2nd week, so each weekday occurs once),
+//        { kind: 'last' } (the last 7 days), { kind: 'range', from, to } (上旬/中旬/下旬) or null for the whole month.
+// weekdays: 0 (Sunday) .. 6, or null for every day.
+function parsePattern(spec) {
+  let weeks = null;
+  const days = new Set();
+  const nthDay = spec.match(/第([1-5])([月火水木金土日])曜/); // 第2金曜
+  const nth = spec.match(/第([1-5](?:\s*[・,、と]\s*(?:第)?[1-5])*)週/);
+  if (nthDay) {
+    weeks = { kind: 'nth', n: [Number(nthDay[1])] };
+    days.add(WEEKDAY_CHARS.indexOf(nthDay[2]));
+  } else if (nth) {
+    weeks = { kind: 'nth', n: [...new Set(nth[1].match(/[1-5]/g).map(Number))] };
+  } else if (/最終週|最後の週/.test(spec)) {
+    weeks = { kind: 'last' };
+  } else {
+    const period = Object.keys(PERIODS).find((p) => spec.includes(p));
+    if (period) weeks = { kind: 'range', from: PERIODS[period][0], to: PERIODS[period][1] };
+  }
+
+  if (/平日/.test(spec)) [1, 2, 3, 4, 5].forEach((d) => days.add(d));
+  if (/土日|週末/.test(spec)) [0, 6].forEach((d) => days.add(d));
+  const range = spec.match(/([月火水木金土日])曜?日?\s*[〜~－-]\s*([月火水木金土日])曜?/);
+  if (range) {
+    const from = WEEKDAY_CHARS.indexOf(range[1]);
+    const to = WEEKDAY_CHARS.indexOf(range[2]);
+    for (let d = from; ; d = (d + 1) % 7) {
+      days.add(d);
+      if (d === to) break;
+    }
+  }
+  for (const m of spec.matchAll(/([月火水木金土日])曜/g)) days.add(WEEKDAY_CHARS.indexOf(m[1]));
+
+  if (!weeks && !days.size) return null;
+  const time = spec.match(/(\d{1,2})(?::(\d{2})|時(半)?)(?:\s*[〜~ー－-]\s*(\d{1,2})(?::(\d{2})|時(半)?))?/);
+  return {
+    weeks,
+    weekdays: days.size ? [...days].sort((a, b) => a - b) : null,
+    startTime: time ? parseTime(time[1], time[2], time[3]) : null,
+    endTime: time && time[4] ? parseTime(time[4], time[5], time[6]) : null,
+  };
+}
+
+// Words that make up the date part of a request; whatever follows them is the event title
+const SPEC_TOKEN =
+  /第[1-5](?:\s*[・,、と]\s*第?[1-5])*週?|最終週|最後の週|上旬|中旬|下旬|平日|土日|週末|[月火水木金土日]曜?日?\s*[〜~－-]\s*[月火水木金土日]曜?日?|[月火水木金土日]曜日?|\d{1,2}(?::\d{2}|時半?)(?:\s*[〜~－-]\s*\d{1,2}(?::\d{2}|時半?))?(?:から|〜|~)?|[のと・]|\s+/y;
+
+function splitSpec(body) {
+  let i = 0;
+  for (;;) {
+    SPEC_TOKEN.lastIndex = i;
+    const m = SPEC_TOKEN.exec(body);
+    if (!m || !m[0]) break;
+    i += m[0].length;
+  }
+  return [body.slice(0, i).replace(/(?:[のと・\s]|から|[〜~])+$/, ''), body.slice(i).replace(/^(?:で|に|は)/, '')];
+}
+
+// "毎月第2週の平日で定例会、締切は3日前、お店は渋谷の居酒屋、作成は15日" ->
+// { title, pattern: { label, weeks, weekdays, startTime, endTime }, createDay, deadlineDaysBefore, shopQuery }.
+// Returns null when the text is not a recurring request (it then goes to the normal scheduling flow).
+export function parseRecurringRequest(text) {
+  const s = normalize(text);
+  if (!/^毎月/.test(s)) return null;
+  const [main, ...extras] = s.split(/[、。,\n]+|\s+(?=締切|〆切|締め切り|お店|作成)/).map((x) => x.trim()).filter(Boolean);
+  const [spec, rest] = splitSpec(main.replace(/^毎月\s*/, ''));
+  const pattern = parsePattern(spec);
+  if (!pattern) return null;
+  const title = rest
+    .replace(/(?:を|の)?(?:やりたい|したい|やろう|しよう|開催する|開催|開く|やる|する)$/, '')
+    .replace(/^[「『]|[」』]$/g, '')
+    .trim() || '定例会';
+
+  let createDay = DEFAULT_CREATE_DAY;
+  let deadlineDaysBefore = null;
+  let shopQuery = null;
+  for (const part of extras) {
+    const deadline = part.match(/^(?:締切|〆切|締め切り)(?:は)?(?:候補の|初日の)?\s*(\d{1,2})日前/);
+    const shop = part.match(/^お店(?:の希望)?(?:は|[:：])?\s*(.+)$/);
+    const create = part.match(/^作成(?:日)?(?:は)?(?:毎月)?\s*(\d{1,2})日/);
+    if (deadline) deadlineDaysBefore = Number(deadline[1]);
+    else if (shop) shopQuery = shop[1].replace(/(?:で)?(?:探して|お願い)$/, '').trim() || null;
+    else if (create && Number(create[1]) >= 1 && Number(create[1]) <= 28) createDay = Number(create[1]);
+  }
+  return { title: title.slice(0, 60), pattern: { label: spec, ...pattern }, createDay, deadlineDaysBefore, shopQuery };
+}
+
+// Dates ("YYYY-MM-DD") of a month ("YYYY-MM") matching a rule's pattern, earliest first
+export function candidateDates(pattern, month) {
+  const first = dayjs.tz(`${month}-01`, TZ);
+  const last = first.daysInMonth();
+  const out = [];
+  for (let d = 1; d <= last && out.length < MAX_CANDIDATES; d++) {
+    const day = first.date(d);
+    const w = pattern.weeks;
+    if (w?.kind === 'nth' && !w.n.includes(Math.ceil(d / 7))) continue;
+    if (w?.kind === 'last' && d <= last - 7) continue;
+    if (w?.kind === 'range' && (d < w.from || d > w.to)) continue;
+    if (pattern.weekdays && !pattern.weekdays.includes(day.day())) continue;
+    out.push(day.format('YYYY-MM-DD'));
+  }
+  return out;
+}
+
+// Poll options for a month, shaped like the LLM's candidates for createPoll
+export function recurringOptions(pattern, month) {
+  return candidateDates(pattern, month).map((date) => ({
+    date,
+    label: formatDateJa(date),
+    startTime: pattern.startTime || null,
+    endTime: pattern.endTime || null,
+  }));
+}
+
+// The next month to create a poll for and when: { month: 'YYYY-MM', runAt }.
+// When this month's creation day has already passed, next month's poll is created right away.
+export function nextRecurringRun(rule, now = nowJst()) {
+  let month = dayjs.tz(`${now.format('YYYY-MM')}-01`, TZ).add(1, 'month');
+  while (rule.last_month && month.format('YYYY-MM') <= rule.last_month) month = month.add(1, 'month');
+  const day = String(rule.create_day || DEFAULT_CREATE_DAY).padStart(2, '0');
+  const runAt = dayjs.tz(`${month.subtract(1, 'month').format('YYYY-MM')}-${day} ${CREATE_HOUR}:00`, TZ).valueOf();
+  return { month: month.format('YYYY-MM'), runAt: Math.max(runAt, now.valueOf()) };
+}
+
+// Deadline of a recurring poll: the end of the day N days before its first candidate
+export function recurringDeadline(rule, options) {
+  if (rule.deadline_days_before == null || !options.length) return null;
+  return dayjs.tz(`${options[0].date} 23:59`, TZ).subtract(Number(rule.deadline_days_before), 'day').valueOf();
+}
+
+// One line per rule for chat replies
+export function describeRecurringRule(rule) {
+  const extras = [`毎月${rule.create_day}日に翌月分を作成`];
+  if (rule.deadline_days_before != null) extras.push(`締切は${rule.deadline_days_before}日前`);
+  if (rule.shop_query) extras.push(`お店: ${rule.shop_query}`);
+  return `${rule.seq}. 毎月${rule.pattern.label}「${rule.title}」（${extras.join('・')}）`;
+}
@@ -0,0 +1,83 @@
+// Minimal in-process job scheduler backed by the SQLite `jobs` table.
+// Jobs are polled on an interval, so they survive restarts; handlers are registered per job type.
+const DEFAULT_INTERVAL_MS = Number(process.env.SCHEDULER_INTERVAL_MS) || 15000;
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 60 * 1000;
+
+export function createScheduler({ db, intervalMs = DEFAULT_INTERVAL_MS }) {
+  const handlers = new Map(); // type -> async (payload, job) => void
+  let timer = null;
+  let ticking = false;
+
+  function register(type, handler) {
+    handlers.set(type, handler);
+  }
+
+  // key: optional; a new job replaces the pending job with the same key
+  function schedule(type, runAt, payload, { key } = {}) {
+    const ts = typeof runAt === 'number' ? runAt : Number(runAt);
+    if (!Number.isFinite(ts)) throw new Error(`invalid runAt for job ${type}`);
+    return db.scheduleJob({ type, runAt: ts, payload, key });
+  }
+
+  function cancel(key) {
+    return db.cancelJobs(key);
+  }
+
+  function cancelPrefix(prefix) {
+    return db.cancelJobsByPrefix(prefix);
+  }
+
+  async function runJob(job) {
+    if (!db.claimJob(job.id)) return; // someone else got it
+    const handler = handlers.get(job.type);
+    if (!handler) {
+      db.failJob(job.id, `no handler for ${job.type}`);
+      return;
+    }
+    let payload = null;
+    try {
+      payload = job.payload ? JSON.parse(job.payload) : null;
+    } catch (_) {}
+    try {
+      await handler(payload, job);
+      db.completeJob(job.id);
+    } catch (e) {
+      const attempts = Number(job.attempts || 0) + 1;
+      const retryAt = attempts < MAX_ATTEMPTS ? Date.now() + RETRY_DELAY_MS * attempts : null;
+      console.warn(`[SCHEDULER] job ${job.type} (${job.id}) failed (attempt ${attempts}):`, e?.response?.data || e.message);
+      db.failJob(job.id, e?.message || e, retryAt);
+    }
+  }
+
+  async function tick() {
+    if (ticking) return; // previous tick still running
+    ticking = true;
+    try {
+      const due = db.getDueJobs(Date.now());
+      for (const job of due) {
+        await runJob(job);
+      }
+    } catch (e) {
+      console.error('[SCHEDULER] tick error', e);
+    } finally {
+      ticking = false;
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    const resumed = db.resetRunningJobs();
+    if (resumed) console.log(`[SCHEDULER] resumed ${resumed} interrupted job(s)`);
+    timer = setInterval(tick, intervalMs);
+    timer.unref?.();
+    tick();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return { register, schedule, cancel, cancelPrefix, start, stop, tick };
+}
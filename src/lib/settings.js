@@ -0,0 +1,135 @@
+import { DECISION_STRATEGIES, DEFAULT_DECISION_WEIGHTS } from './decision.js';
+import { DEFAULT_SETTLEMENT_WEIGHTS, ROUNDING_UNITS } from './warikan.js';
+
+// Per-group settings, stored as JSON in group_settings.settings and merged over these defaults.
+export const DEFAULT_GROUP_SETTINGS = {
+  remindersEnabled: true,
+  reminderOffsetsHours: [24, 3], // hours before the poll deadline
+  reminderAfterDays: null, // days after poll creation (useful when no deadline is set)
+  reminderMax: 2, // reminders per poll, never more than REMINDER_MAX_CAP
+  // Final date decision (see decision.js)
+  decisionStrategy: 'count',
+  decisionWeights: DEFAULT_DECISION_WEIGHTS,
+  mustAttend: [], // user IDs or display names
+  minHeadcount: null,
+  tieBreakEarliest: true,
+  // Bill splitting (see warikan.js): multipliers per tag and the rounding unit in yen
+  settlementWeights: DEFAULT_SETTLEMENT_WEIGHTS,
+  settlementUnit: 100,
+  // Polite reminders to members who have not paid yet, N days after the split
+  paymentRemindersEnabled: true,
+  paymentReminderDays: [3, 7],
+  // Reminders before a finalized event: the evening before at this hour, and this many hours before it starts
+  // (at 9:00 on the day for events without a start time); null turns either one off
+  eventRemindersEnabled: true,
+  eventReminderDayBeforeHour: 19,
+  eventReminderHoursBefore: 3,
+  // Re-post the event summary card after its attendees, venue, reservation or payments change
+  eventSummaryAutoPost: true,
+};
+
+export const REMINDER_MAX_CAP = 5;
+
+// Validate a partial settings object; unknown keys are ignored.
+// Returns { patch, errors } where errors lists the rejected keys.
+export function sanitizeGroupSettingsPatch(input) {
+  const patch = {};
+  const errors = [];
+  if (!input || typeof input !== 'object') return { patch, errors };
+
+  if ('remindersEnabled' in input) {
+    patch.remindersEnabled = !!input.remindersEnabled;
+  }
+  if ('reminderOffsetsHours' in input) {
+    const arr = Array.isArray(input.reminderOffsetsHours) ? input.reminderOffsetsHours.map(Number) : null;
+    if (arr && arr.every((h) => Number.isFinite(h) && h > 0 && h <= 24 * 7)) {
+      patch.reminderOffsetsHours = [...new Set(arr)].sort((a, b) => b - a).slice(0, REMINDER_MAX_CAP);
+    } else {
+      errors.push('reminderOffsetsHours');
+    }
+  }
+  if ('reminderAfterDays' in input) {
+    const v = input.reminderAfterDays;
+    if (v == null) patch.reminderAfterDays = null;
+    else if (Number.isInteger(Number(v)) && Number(v) >= 1 && Number(v) <= 30) patch.reminderAfterDays = Number(v);
+    else errors.push('reminderAfterDays');
+  }
+  if ('reminderMax' in input) {
+    const n = Number(input.reminderMax);
+    if (Number.isInteger(n) && n >= 0 && n <= REMINDER_MAX_CAP) patch.reminderMax = n;
+    else errors.push('reminderMax');
+  }
+  if ('decisionStrategy' in input) {
+    if (DECISION_STRATEGIES.includes(input.decisionStrategy)) patch.decisionStrategy = input.decisionStrategy;
+    else errors.push('decisionStrategy');
+  }
+  if ('decisionWeights' in input) {
+    const w = input.decisionWeights;
+    const keys = ['yes', 'maybe', 'no'];
+    if (w && typeof w === 'object' && keys.every((k) => w[k] == null || (Number.isFinite(Number(w[k])) && Number(w[k]) >= 0))) {
+      patch.decisionWeights = Object.fromEntries(keys.map((k) => [k, w[k] == null ? DEFAULT_DECISION_WEIGHTS[k] : Number(w[k])]));
+    } else {
+      errors.push('decisionWeights');
+    }
+  }
+  if ('mustAttend' in input) {
+    const arr = input.mustAttend;
+    if (Array.isArray(arr) && arr.every((x) => typeof x === 'string' && x.trim())) {
+      patch.mustAttend = [...new Set(arr.map((x) => x.trim()))].slice(0, 20);
+    } else {
+      errors.push('mustAttend');
+    }
+  }
+  if ('minHeadcount' in input) {
+    const v = input.minHeadcount;
+    if (v == null) patch.minHeadcount = null;
+    else if (Number.isInteger(Number(v)) && Number(v) >= 1 && Number(v) <= 500) patch.minHeadcount = Number(v);
+    else errors.push('minHeadcount');
+  }
+  if ('tieBreakEarliest' in input) {
+    patch.tieBreakEarliest = !!input.tieBreakEarliest;
+  }
+  if ('settlementWeights' in input) {
+    const w = input.settlementWeights;
+    const keys = Object.keys(DEFAULT_SETTLEMENT_WEIGHTS);
+    if (w && typeof w === 'object' && keys.every((k) => w[k] == null || (Number.isFinite(Number(w[k])) && Number(w[k]) > 0 && Number(w[k]) <= 10))) {
+      patch.settlementWeights = Object.fromEntries(keys.map((k) => [k, w[k] == null ? DEFAULT_SETTLEMENT_WEIGHTS[k] : Number(w[k])]));
+    } else {
+      errors.push('settlementWeights');
+    }
+  }
+  if ('settlementUnit' in input) {
+    if (ROUNDING_UNITS.includes(Number(input.settlementUnit))) patch.settlementUnit = Number(input.settlementUnit);
+    else errors.push('settlementUnit');
+  }
+  if ('paymentRemindersEnabled' in input) {
+    patch.paymentRemindersEnabled = !!input.paymentRemindersEnabled;
+  }
+  if ('paymentReminderDays' in input) {
+    const arr = Array.isArray(input.paymentReminderDays) ? input.paymentReminderDays.map(Number) : null;
+    if (arr && arr.every((d) => Number.isInteger(d) && d >= 1 && d <= 60)) {
+      patch.paymentReminderDays = [...new Set(arr)].sort((a, b) => a - b).slice(0, REMINDER_MAX_CAP);
+    } else {
+      errors.push('paymentReminderDays');
+    }
+  }
+  if ('eventRemindersEnabled' in input) {
+    patch.eventRemindersEnabled = !!input.eventRemindersEnabled;
+  }
+  if ('eventReminderDayBeforeHour' in input) {
+    const v = input.eventReminderDayBeforeHour;
+    if (v == null) patch.eventReminderDayBeforeHour = null;
+    else if (Number.isInteger(Number(v)) && Number(v) >= 0 && Number(v) <= 23) patch.eventReminderDayBeforeHour = Number(v);
+    else errors.push('eventReminderDayBeforeHour');
+  }
+  if ('eventReminderHoursBefore' in input) {
+    const v = input.eventReminderHoursBefore;
+    if (v == null) patch.eventReminderHoursBefore = null;
+    else if (Number.isInteger(Number(v)) && Number(v) >= 1 && Number(v) <= 12) patch.eventReminderHoursBefore = Number(v);
+    else errors.push('eventReminderHoursBefore');
+  }
+  if ('eventSummaryAutoPost' in input) {
+    patch.eventSummaryAutoPost = !!input.eventSummaryAutoPost;
+  }
+  return { patch, errors };
+}
@@ -1,3 +1,5 @@
+import crypto from 'node:crypto';
+import { AsyncLocalStorage } from 'node:async_hooks';
 import path from 'node:path';
 import axios from 'axios';
 import dayjs from 'dayjs';
@@ -11,6 +13,25 @@ const CANDIDATE_FETCH_MULTIPLIER = 4; // pull more, then filter/sort down
 const DEFAULT_CLAUDE_MODEL = 'claude-3-5-sonnet-20240620';
 const DEFAULT_STATION_SEARCH_RADIUS_M = 2000; // station lookup radius
 const DEFAULT_GEMINI_MODEL = 'gemini-1.5-flash';
+const MEETING_POINT_SEARCH_RADII_M = [DEFAULT_STATION_SEARCH_RADIUS_M, 5000]; // widen once when no station is near the centroid
+const MEETING_POINT_AREAS = 2; // best meeting stations searched when the request names no area
+const HOUR_MS = 60 * 60 * 1000;
+// How long a successful Google response is reused, per kind of lookup (see cacheKind)
+export const PLACES_CACHE_TTL_MS = {
+  geocode: 30 * 24 * HOUR_MS,
+  station: 30 * 24 * HOUR_MS, // Find Place (areas, stations) and station Nearby Search
+  nearby: 24 * HOUR_MS,
+  details: 3 * 24 * HOUR_MS, // opening hours and ratings change
+};
+const STATION_PLACE_TYPES = ['train_station', 'subway_station', 'transit_station'];
+// Per-search limits: Google requests sent (cache hits are free) and wall time from the start of the search
+const SEARCH_MAX_API_CALLS = Number(process.env.SHOP_SEARCH_MAX_API_CALLS) || 200;
+const SEARCH_MAX_WALL_MS = (Number(process.env.SHOP_SEARCH_MAX_SECONDS) || 30) * 1000;
+const AREA_CONCURRENCY = 3;
+const COMBO_CONCURRENCY = 3; // area x genre x price band searches in flight ...
+const DETAILS_CONCURRENCY = 4; // ... each with this many Place Details lookups
+const GOOD_RATING = 3.5;
+const EARLY_STOP_FACTOR = 2; // stop looking up details once this many times the needed good candidates are found
 
 // ------------------------- Utils --------------------------
 function assertEnv() {
@@ -254,13 +275,153 @@ function sanitizeNLPlan(raw) {
 }
 
 // ------------------------- Google API ---------------------
-async function googleGet(path, params) {
+// ------------------------- Search budget -------------------------
+// The running search's budget, seen by googleGet without threading it through every helper
+const searchBudget = new AsyncLocalStorage();
+
+function budgetExceeded(reason) {
+  const e = new Error(`Shop search budget exceeded (${reason})`);
+  e.budgetExceeded = true;
+  return e;
+}
+
+function createSearchBudget({ maxCalls = SEARCH_MAX_API_CALLS, maxWallMs = SEARCH_MAX_WALL_MS } = {}) {
+  const startedAt = Date.now();
+  const phases = {};
+  const counts = { api_calls: 0, cache_hits: 0 };
+  let stoppedBy = null;
+  const exhausted = () => {
+    if (!stoppedBy && counts.api_calls >= maxCalls) stoppedBy = 'max_api_calls';
+    if (!stoppedBy && Date.now() - startedAt >= maxWallMs) stoppedBy = 'max_wall_time';
+    return !!stoppedBy;
+  };
+  return {
+    exhausted,
+    // Before each Google request; throws once the search is out of calls or time
+    take() {
+      if (exhausted()) throw budgetExceeded(stoppedBy);
+      counts.api_calls++;
+    },
+    count(name, n = 1) {
+      counts[name] = (counts[name] || 0) + n;
+    },
+    async phase(name, fn) {
+      const t = Date.now();
+      try {
+        return await fn();
+      } finally {
+        phases[name] = (phases[name] || 0) + (Date.now() - t);
+      }
+    },
+    // Timing metadata returned with the result
+    timing() {
+      return {
+        total_ms: Date.now() - startedAt,
+        phases_ms: { ...phases },
+        ...counts,
+        max_api_calls: maxCalls,
+        max_wall_ms: maxWallMs,
+        stopped_by: stoppedBy,
+      };
+    },
+  };
+}
+
+// fn over items with at most limit running; no new item starts once shouldStop() is true. Results keep the
+// input order; items not started, or stopped by the budget, are left out. Other errors reject as usual.
+async function mapBounded(items, limit, fn, { shouldStop = () => false } = {}) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length && !shouldStop()) {
+      const i = next++;
+      try {
+        results[i] = { value: await fn(items[i], i) };
+      } catch (e) {
+        if (!e?.budgetExceeded) throw e;
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results.filter(Boolean).map((r) => r.value);
+}
+
+// Place Details for pool (Nearby Search results, best first); stops starting lookups once `enough` of them
+// pass isGood or the search budget runs out
+async function fetchDetails(pool, { language, budget, isGood = () => true, enough = Infinity }) {
+  let good = 0;
+  const detailed = await mapBounded(
+    pool,
+    DETAILS_CONCURRENCY,
+    async (r) => {
+      const d = await placeDetails(r.place_id, { language });
+      if (isGood(d)) good++;
+      return d;
+    },
+    { shouldStop: () => good >= enough || budget.exhausted() }
+  );
+  budget.count('details_fetched', detailed.length);
+  budget.count('details_skipped', pool.length - detailed.length);
+  return detailed;
+}
+
+// Response cache: set once at boot with the database (getPlacesCache/putPlacesCache); uncached until then.
+// Hit/miss counters are per kind since the process started.
+let placesCache = null;
+const cacheCounters = {};
+
+export function setPlacesCache(store) {
+  placesCache = store;
+}
+
+export function getPlacesCacheCounters() {
+  return Object.fromEntries(Object.entries(cacheCounters).map(([kind, c]) => [kind, { ...c }]));
+}
+
+function cacheKind(path, params) {
+  if (path.includes('/geocode/')) return 'geocode';
+  if (path.includes('/findplacefromtext/')) return 'station';
+  if (path.includes('/nearbysearch/')) return STATION_PLACE_TYPES.includes(params.type) && !params.keyword ? 'station' : 'nearby';
+  if (path.includes('/details/')) return 'details';
+  return null;
+}
+
+// path + params in a stable order (the API key is never part of it)
+function cacheKey(path, params) {
+  const sorted = Object.keys(params).sort().map((k) => [k, String(params[k])]);
+  return crypto.createHash('sha256').update(`${path}?${new URLSearchParams(sorted).toString()}`).digest('hex');
+}
+
+// cacheAs: params to key the response on instead of params (e.g. a page of Nearby Search, whose token changes)
+async function googleGet(path, params, { cacheAs = params } = {}) {
   const key = assertEnv();
+  const kind = placesCache ? cacheKind(path, cacheAs) : null;
+  const ckey = kind ? cacheKey(path, cacheAs) : null;
+  if (kind) {
+    const counter = (cacheCounters[kind] ||= { hits: 0, misses: 0 });
+    const cached = placesCache.getPlacesCache(ckey);
+    if (cached) {
+      counter.hits++;
+      searchBudget.getStore()?.count('cache_hits');
+      return cached;
+    }
+    counter.misses++;
+  }
+  searchBudget.getStore()?.take();
   const sp = new URLSearchParams({ key, ...params });
   const url = `https://maps.googleapis.com${path}?${sp.toString()}`;
   const res = await fetch(url);
   if (!res.ok) throw new Error(`HTTP ${res.status} for ${path}`);
-  return res.json();
+  const data = await res.json();
+  // Errors (quota, denied, invalid token) are retried next time
+  if (kind && (data?.status === 'OK' || data?.status === 'ZERO_RESULTS')) {
+    try {
+      placesCache.putPlacesCache({ key: ckey, kind, path, body: data, ttlMs: PLACES_CACHE_TTL_MS[kind] });
+    } catch (e) {
+      console.error('[PlacesCache] write failed:', e?.message || e);
+    }
+  }
+  return data;
 }
 
 // ------------------------- Claude API ---------------------
@@ -575,10 +736,11 @@ async function optimizeResultsWithLLM({ query, candidates, claudeModel = DEFAULT
 }
 
 // ---------------- Summarize final top via LLM ----------------
-async function summarizeTopWithClaude({ nl, items, model = DEFAULT_CLAUDE_MODEL, language = DEFAULT_LANGUAGE }) {
+async function summarizeTopWithClaude({ nl, items, model = DEFAULT_CLAUDE_MODEL, language = DEFAULT_LANGUAGE, partySize = null }) {
   const system = 'From up to 10 restaurant candidates, pick at most 5 best recommendations for a Japanese user. Output strictly valid JSON only (no code fences, no preface). For each picked item, write a single catchy Japanese sentence (about 30-60 chars) as the reason, reflecting the user intent (time, party size, genre, budget). No bullet lists, no slashes.';
   const payload = {
     nl,
+    party_size: partySize,
     items: items.map((x) => ({
       name: x.name,
       image_url: x.image_url,
@@ -611,10 +773,11 @@ async function summarizeTopWithClaude({ nl, items, model = DEFAULT_CLAUDE_MODEL,
   return json; // expect { recommendations: [ {name, image_url, google_maps_url, genres, area, reason} ] }
 }
 
-async function summarizeTopWithGemini({ nl, items, model = DEFAULT_GEMINI_MODEL, language = DEFAULT_LANGUAGE }) {
+async function summarizeTopWithGemini({ nl, items, model = DEFAULT_GEMINI_MODEL, language = DEFAULT_LANGUAGE, partySize = null }) {
   const system = 'From up to 10 restaurant candidates, pick at most 5 best recommendations for a Japanese user. Output strictly JSON matching the response schema (no additional text). For each picked item, produce a single catchy Japanese sentence (about 30-60 chars) as reason, reflecting user intent (time, party size, genre, budget). No bullet lists.';
   const payload = {
     nl,
+    party_size: partySize,
     items: items.map((x) => ({
       name: x.name,
       image_url: x.image_url,
@@ -653,14 +816,14 @@ async function summarizeTopWithGemini({ nl, items, model = DEFAULT_GEMINI_MODEL,
   return json;
 }
 
-async function summarizeTopWithLLM({ nl, items, claudeModel = DEFAULT_CLAUDE_MODEL, geminiModel = DEFAULT_GEMINI_MODEL, language = DEFAULT_LANGUAGE }) {
+async function summarizeTopWithLLM({ nl, items, claudeModel = DEFAULT_CLAUDE_MODEL, geminiModel = DEFAULT_GEMINI_MODEL, language = DEFAULT_LANGUAGE, partySize = null }) {
   if (!Array.isArray(items) || items.length === 0) {
     throw new Error('Top-5 summarization failed: no items to summarize');
   }
   const errors = [];
   if (getAnthropicKey()) {
     try {
-      const r = await summarizeTopWithClaude({ nl, items, model: claudeModel, language });
+      const r = await summarizeTopWithClaude({ nl, items, model: claudeModel, language, partySize });
       return { ...r, _provider: 'claude', _model: claudeModel };
     } catch (e) {
       errors.push(`Claude: ${e?.message || e}`);
@@ -668,7 +831,7 @@ async function summarizeTopWithLLM({ nl, items, claudeModel = DEFAULT_CLAUDE_MOD
   }
   if (getGeminiKey()) {
     try {
-      const r = await summarizeTopWithGemini({ nl, items, model: geminiModel, language });
+      const r = await summarizeTopWithGemini({ nl, items, model: geminiModel, language, partySize });
       return { ...r, _provider: 'gemini', _model: geminiModel };
     } catch (e) {
       errors.push(`Gemini: ${e?.message || e}`);
@@ -683,7 +846,7 @@ async function parseUserQueryWithClaude(nl, { model = DEFAULT_CLAUDE_MODEL } = {
   const user = [
     '次のユーザー入力から、飲食店検索のための構造化パラメータを抽出してください。',
     'ルール:',
-    '- areas: 最大3件。駅名を優先して抽出（例: 恵比寿→恵比寿駅）。',
+    '- areas: 最大3件。駅名を優先して抽出（例: 恵比寿→恵比寿駅）。地名・駅名の指定が無ければ空配列 [] にする（推測しない）。',
     '- genres: 最大5件。ユーザー意図が明確（例: 焼肉）なら1〜3件に絞る。不明瞭なら4〜5件を多様に（例: 焼肉/すき焼き/ステーキ/イタリアン/韓国）。',
     '- price_bands: 1〜3件、各 {min_yen, max_yen}（税込概算）。',
     '- datetime: ローカル時間で厳密に "YYYY-MM-DD HH:mm"（24時間制、ゼロ詰め）またはISO（"YYYY-MM-DDTHH:mm"）。不明確ならnull。"19時"/"頃"/"午後"/"半"などは使用禁止。',
@@ -712,7 +875,7 @@ async function parseUserQueryWithGemini(nl, { model = DEFAULT_GEMINI_MODEL } = {
     'Extract structured search parameters from Japanese natural-language dining requests.',
     'Output strictly JSON matching the response schema (no additional text). Use null for unknown values.',
     'Guidelines:',
-    '- areas: up to 3, prefer station names (e.g., 恵比寿→恵比寿駅).',
+    '- areas: up to 3, prefer station names (e.g., 恵比寿→恵比寿駅). Return [] when no place is named; do not guess.',
     '- genres: up to 5. If intent is explicit (e.g., yakiniku), return 1–3 focused items; if ambiguous, return 4–5 diverse items.',
     '- price_bands: 1–3 objects {min_yen, max_yen}.',
     '- datetime: strictly "YYYY-MM-DD HH:mm" (24-hour, leading zeros) or ISO-8601 like "YYYY-MM-DDTHH:mm"; otherwise null. Do not use words like "頃", "午後", or half-hour kanji.',
@@ -762,10 +925,25 @@ async function parseUserQueryWithLLM(nl, { claudeModel = DEFAULT_CLAUDE_MODEL, g
 }
 
 // --------------- NL-driven suggestion pipeline -----------------
-export async function suggestPlacesFromNL(nl, { language = DEFAULT_LANGUAGE, preferStationCenter = true, date } = {}) {
-  const planRaw = await parseUserQueryWithLLM(nl, {});
+// origins: members' home stations ([{ name, lat, lng }]); when the request names no area and at least two
+// are given, the search runs around the fairest meeting stations instead (see findFairMeetingPoints).
+// limits: { maxCalls, maxWallMs } for Google requests; the result's timing reports what was used.
+export async function suggestPlacesFromNL(nl, options = {}) {
+  const budget = createSearchBudget(options.limits);
+  return searchBudget.run(budget, () => searchFromNL(nl, options, budget));
+}
+
+async function searchFromNL(nl, { language = DEFAULT_LANGUAGE, preferStationCenter = true, date, partySize, origins = [] }, budget) {
+  const planRaw = await budget.phase('parse', () => parseUserQueryWithLLM(nl, {}));
   const plan = sanitizeNLPlan(planRaw);
-  const areas = plan.areas;
+  // Confirmed headcount of the event when the request itself names no party size
+  if (plan.party_size == null && Number.isInteger(partySize) && partySize > 0) plan.party_size = partySize;
+  let areas = plan.areas;
+  let meetingPoints = null;
+  if (!areas.length && origins.length >= 2) {
+    meetingPoints = (await budget.phase('meeting_points', () => findFairMeetingPoints(origins, { language }))).slice(0, MEETING_POINT_AREAS);
+    areas = meetingPoints.map((p) => p.name);
+  }
   const genres = plan.genres;
   const priceBands = plan.price_bands;
   if (!areas.length) throw new Error('NL parsing produced no areas');
@@ -775,6 +953,11 @@ export async function suggestPlacesFromNL(nl, { language = DEFAULT_LANGUAGE, pre
 
   let openAtStrict = !!plan.openAtStrict;
   let dateTime = plan.datetime && String(plan.datetime).trim() ? String(plan.datetime).trim() : null;
+  if (!dateTime && typeof date === 'string' && /\d{1,2}:\d{2}$/.test(date.trim())) {
+    // Finalized poll date/time ("YYYY-MM-DD HH:mm") when the request itself names no time
+    dateTime = date.trim();
+    openAtStrict = true;
+  }
   let parsedDT = null;
   if (dateTime) {
     const { year, month, day, hour, minute } = parseLocalDateTime(dateTime);
@@ -783,9 +966,8 @@ export async function suggestPlacesFromNL(nl, { language = DEFAULT_LANGUAGE, pre
     openAtStrict = false;
   }
 
-  // Resolve centers per area
-  const centerMeta = [];
-  for (const areaText of areas) {
+  // Resolve centers per area (areas in parallel)
+  const centerMeta = await budget.phase('areas', () => mapBounded(areas, AREA_CONCURRENCY, async (areaText) => {
     // Try to resolve center from text loosely (prefer direct Place hit), then fall back to geocoding
     let resolvedAny = await findPlaceAny(areaText, { language });
     let geocoded = null;
@@ -798,63 +980,55 @@ export async function suggestPlacesFromNL(nl, { language = DEFAULT_LANGUAGE, pre
       if (!base) throw new Error(`Could not resolve center for area "${areaText}"`);
       const resolved = await resolveStationCenter({ areaText, geocode: base, language, radius: Math.max(300, toInt(radius_m, DEFAULT_RADIUS_M)) });
       if (!resolved?.location) throw new Error(`Station resolution returned no location for area "${areaText}"`);
-      centerMeta.push({ input: areaText, geocoded: geocoded || { lat: base.lat, lng: base.lng }, station: resolved, center: { lat: resolved.location.lat, lng: resolved.location.lng } });
-    } else {
-      if (resolvedAny) {
-        centerMeta.push({ input: areaText, geocoded: geocoded || { lat: resolvedAny.location.lat, lng: resolvedAny.location.lng }, station: null, center: { lat: resolvedAny.location.lat, lng: resolvedAny.location.lng } });
-      } else if (geocoded) {
-        centerMeta.push({ input: areaText, geocoded, station: null, center: { lat: geocoded.lat, lng: geocoded.lng } });
-      } else {
-        throw new Error(`Could not resolve any center for area "${areaText}"`);
-      }
+      return { input: areaText, geocoded: geocoded || { lat: base.lat, lng: base.lng }, station: resolved, center: { lat: resolved.location.lat, lng: resolved.location.lng } };
     }
-  }
+    if (resolvedAny) {
+      return { input: areaText, geocoded: geocoded || { lat: resolvedAny.location.lat, lng: resolvedAny.location.lng }, station: null, center: { lat: resolvedAny.location.lat, lng: resolvedAny.location.lng } };
+    }
+    if (geocoded) {
+      return { input: areaText, geocoded, station: null, center: { lat: geocoded.lat, lng: geocoded.lng } };
+    }
+    throw new Error(`Could not resolve any center for area "${areaText}"`);
+  }));
+  if (!centerMeta.length) throw budgetExceeded(budget.timing().stopped_by);
 
   // If no price bands, derive a neutral null to use default behavior
   const bands = priceBands.length ? priceBands : [ { min_yen: null, max_yen: null } ];
 
-  const combinations = [];
-  const allOutputs = [];
-  for (const area of centerMeta) {
-    for (const pb of bands) {
-      const priceLevel = priceLevelFromBudgetYen(pb.min_yen, pb.max_yen);
-      for (const g of genres) {
-        const { type, keyword } = mapGenreToTypeAndKeyword(g);
-        const part = await nearbySearch({
-          lat: area.center.lat,
-          lng: area.center.lng,
-          radius: Math.max(300, toInt(radius_m, DEFAULT_RADIUS_M)),
-          type,
-          keyword,
-          language,
-          price_level: priceLevel,
-          maxPages: 1,
-        });
-
-        // Pull details for up to 20, compute scores, filter strictly if requested
-        const pool = part.slice(0, 20);
-        const detailed = [];
-        for (const r of pool) {
-          const d = await placeDetails(r.place_id, { language });
-          detailed.push(d);
-        }
-        const enriched = detailed.map((d) => {
-          const open = parsedDT ? isOpenAtTime(d.opening_hours?.periods, parsedDT.dow, parsedDT.minutesOfDay) : null;
-          const base = computeScore(d, { genres: [g], preferOpen: !openAtStrict || open === true });
-          return { d, openAtTime: open, score: base };
-        });
-        let filtered = enriched;
-        if (openAtStrict) filtered = enriched.filter(e => e.openAtTime === true);
-        filtered.sort((a, b) => b.score - a.score);
-        const picks = filtered.slice(0, maxPerCombo).map(({ d, openAtTime }) => {
-          const extras = { matched_genres: [g], source_areas: [area.input], hit_count: 1 };
-          return toOutput(d, openAtTime, parsedDT ? { dow: parsedDT.dow, minutesOfDay: parsedDT.minutesOfDay } : { dow: 0, minutesOfDay: 0 }, { includePhotoUrl: true, extras });
-        });
-        combinations.push({ area: area.input, genre: g, price_band: pb, results: picks });
-        allOutputs.push(...picks);
-      }
-    }
-  }
+  const openAt = (d) => (parsedDT ? isOpenAtTime(d.opening_hours?.periods, parsedDT.dow, parsedDT.minutesOfDay) : null);
+  // Enough details for a combination once this many open (when required), well-rated places are in
+  const isGood = (d) => (!openAtStrict || openAt(d) === true) && (d.rating ?? 0) >= GOOD_RATING;
+  const combos = centerMeta.flatMap((area) => bands.flatMap((pb) => genres.map((g) => ({ area, pb, g }))));
+  const combinations = await budget.phase('places', () => mapBounded(combos, COMBO_CONCURRENCY, async ({ area, pb, g }) => {
+    const { type, keyword } = mapGenreToTypeAndKeyword(g);
+    const part = await nearbySearch({
+      lat: area.center.lat,
+      lng: area.center.lng,
+      radius: Math.max(300, toInt(radius_m, DEFAULT_RADIUS_M)),
+      type,
+      keyword,
+      language,
+      price_level: priceLevelFromBudgetYen(pb.min_yen, pb.max_yen),
+      maxPages: 1,
+    });
+
+    // Pull details for up to 20, compute scores, filter strictly if requested
+    const detailed = await fetchDetails(part.slice(0, 20), { language, budget, isGood, enough: maxPerCombo * EARLY_STOP_FACTOR });
+    const enriched = detailed.map((d) => {
+      const open = openAt(d);
+      const base = computeScore(d, { genres: [g], preferOpen: !openAtStrict || open === true });
+      return { d, openAtTime: open, score: base };
+    });
+    let filtered = enriched;
+    if (openAtStrict) filtered = enriched.filter(e => e.openAtTime === true);
+    filtered.sort((a, b) => b.score - a.score);
+    const picks = filtered.slice(0, maxPerCombo).map(({ d, openAtTime }) => {
+      const extras = { matched_genres: [g], source_areas: [area.input], hit_count: 1 };
+      return toOutput(d, openAtTime, parsedDT ? { dow: parsedDT.dow, minutesOfDay: parsedDT.minutesOfDay } : { dow: 0, minutesOfDay: 0 }, { includePhotoUrl: true, extras });
+    });
+    return { area: area.input, genre: g, price_band: pb, results: picks };
+  }, { shouldStop: budget.exhausted }));
+  const allOutputs = combinations.flatMap((c) => c.results);
 
   // Build cross-combination summary (dedup by place_id)
   const seen = new Map();
@@ -880,7 +1054,7 @@ export async function suggestPlacesFromNL(nl, { language = DEFAULT_LANGUAGE, pre
   if (top10.length === 0) {
     throw new Error('Top-5 summarization failed: no items to summarize');
   }
-  const topSummary = await summarizeTopWithLLM({ nl, items: top10, language: language });
+  const topSummary = await budget.phase('summarize', () => summarizeTopWithLLM({ nl, items: top10, language: language, partySize: plan.party_size ?? null }));
 
   return {
     nl: nl,
@@ -895,17 +1069,30 @@ export async function suggestPlacesFromNL(nl, { language = DEFAULT_LANGUAGE, pre
       radius_m,
       openAtStrict,
     },
+    meeting_points: meetingPoints,
     station_center: centerMeta.map(a => ({ input: a.input, geocoded_center: { lat: a.geocoded.lat, lng: a.geocoded.lng }, station: a.station })),
     combinations,
     summary_top: aggregated.slice(0, 15),
     top5_structured: {
       provider: topSummary?._provider,
       model: topSummary?._model,
-      recommendations: Array.isArray(topSummary?.recommendations) ? topSummary.recommendations : [],
+      recommendations: withPlaceFields(Array.isArray(topSummary?.recommendations) ? topSummary.recommendations : [], top10),
     },
+    timing: budget.timing(),
   };
 }
 
+// The LLM only echoes name/url/genres/area; attach the place's id, address, phone and website
+// from the candidate it picked (matched by Maps URL, then by name)
+function withPlaceFields(recommendations, items) {
+  return recommendations.map((r) => {
+    const src = items.find((x) => r.google_maps_url && x.google_maps_url === r.google_maps_url)
+      || items.find((x) => x.name === r.name);
+    if (!src) return r;
+    return { ...r, place_id: src.place_id, address: src.address ?? null, phone: src.phone ?? null, website: src.website ?? null };
+  });
+}
+
 async function geocodeArea(area, { language = DEFAULT_LANGUAGE, region = DEFAULT_COUNTRY_REGION } = {}) {
   const data = await googleGet('/maps/api/geocode/json', { address: area, language, region });
   if (data.status !== 'OK' || !data.results?.length) {
@@ -1020,6 +1207,61 @@ async function resolveStationCenter({ areaText, geocode, language = DEFAULT_LANG
   throw new Error(`Failed to resolve station center for area "${areaText}"`);
 }
 
+// A member's home station typed as free text ("渋谷", "武蔵小杉駅"); null unless it resolves to a station
+export async function resolveHomeStation(text, { language = DEFAULT_LANGUAGE } = {}) {
+  const name = String(text || '').trim();
+  if (!name) return null;
+  const fp = await findPlaceStation(/駅$/.test(name) ? name : `${name}駅`, NaN, NaN, { language });
+  if (!fp || !isStationTypes(fp.types)) return null;
+  return { name: fp.name, place_id: fp.place_id, address: fp.address || null, location: fp.location };
+}
+
+// "渋谷駅", "渋谷駅（東京メトロ）" and "JR渋谷駅" are the same place to meet at
+function stationKey(name) {
+  return String(name || '').replace(/[（(].*?[)）]/g, '').replace(/^(?:JR|東京メトロ|都営)/, '').replace(/駅$/, '').trim();
+}
+
+// Stations fair for everyone coming from origins ([{ name, lat, lng }], at least two): the geometric centroid of the
+// origins is snapped to the stations around it, and each station is scored by the farthest member's straight-line
+// distance plus the average one (so no one is left with a long trip, then the group's total is small).
+// Returns [{ name, place_id, location, max_m, total_m, distances: [{ name, meters }] }], best first.
+export async function findFairMeetingPoints(origins, { language = DEFAULT_LANGUAGE, maxResults = 3 } = {}) {
+  const points = origins.filter((o) => Number.isFinite(o?.lat) && Number.isFinite(o?.lng));
+  if (points.length < 2) throw new Error('At least two origins are needed for a meeting point');
+  const centroid = {
+    lat: points.reduce((sum, o) => sum + o.lat, 0) / points.length,
+    lng: points.reduce((sum, o) => sum + o.lng, 0) / points.length,
+  };
+  let stations = [];
+  for (const radius of MEETING_POINT_SEARCH_RADII_M) {
+    stations = await nearbyStations(centroid.lat, centroid.lng, { language, radius });
+    if (stations.length) break;
+  }
+  if (!stations.length) throw new Error('No station found near the meeting point');
+
+  const byKey = new Map();
+  for (const st of stations) {
+    const key = stationKey(st.name);
+    if (!key || byKey.has(key)) continue;
+    const distances = points.map((o) => ({ name: o.name || null, meters: Math.round(haversineMeters(o, st.geometry.location)) }));
+    const max_m = Math.max(...distances.map((d) => d.meters));
+    const total_m = distances.reduce((sum, d) => sum + d.meters, 0);
+    byKey.set(key, {
+      name: /駅$/.test(key) ? key : `${key}駅`,
+      place_id: st.place_id,
+      location: st.geometry.location,
+      max_m,
+      total_m,
+      distances,
+      score: max_m + total_m / points.length,
+    });
+  }
+  return [...byKey.values()]
+    .sort((a, b) => a.score - b.score)
+    .slice(0, maxResults)
+    .map(({ score, ...rest }) => rest);
+}
+
 async function nearbySearch({ lat, lng, radius, type, keyword, language = DEFAULT_LANGUAGE, price_level = null, maxPages = 2 }) {
   const paramsBase = {
     location: `${lat},${lng}`,
@@ -1038,7 +1280,9 @@ async function nearbySearch({ lat, lng, radius, type, keyword, language = DEFAUL
   const all = [];
   for (let page = 0; page < maxPages; page++) {
     const params = token ? { pagetoken: token } : paramsBase;
-    const data = await googleGet('/maps/api/place/nearbysearch/json', params);
+    const data = await googleGet('/maps/api/place/nearbysearch/json', params, { cacheAs: { ...paramsBase, page: String(page) } });
+    // A page token from a cached first page may have expired: keep the pages we have
+    if (page > 0 && data.status === 'INVALID_REQUEST') break;
     if (data.status !== 'OK' && data.status !== 'ZERO_RESULTS') {
       throw new Error(`NearbySearch failed: ${data.status}`);
     }
@@ -1085,6 +1329,11 @@ async function timezoneInfo(lat, lng, timestampSec) {
 
 // ------------------------- Core logic ---------------------
 async function suggestPlaces(input) {
+  const budget = createSearchBudget(input.limits);
+  return searchBudget.run(budget, () => searchPlaces(input, budget));
+}
+
+async function searchPlaces(input, budget) {
   const {
     dateTime,
     area,
@@ -1121,57 +1370,58 @@ async function suggestPlaces(input) {
 
   const perAreaMeta = [];
   const searchCenters = [];
-  for (const areaText of areaList) {
-    let normalized = areaText;
-    let normInfo = null;
-    if (useClaudeAreaNormalization) {
-      const norm = await normalizeAreaWithLLM(areaText, { language, region: DEFAULT_COUNTRY_REGION, claudeModel, geminiModel: DEFAULT_GEMINI_MODEL });
-      normalized = norm.normalized;
-      normInfo = { provider: norm._provider, model: norm._model, confidence: norm.confidence, reason: norm.reason, alternatives: norm.alternatives };
-    }
-    const geocoded = await geocodeArea(normalized, { language });
-    let searchCenter = { lat: geocoded.lat, lng: geocoded.lng };
-    let stationInfo = null;
-    if (preferStationCenter) {
-      const resolved = await resolveStationCenter({ areaText: normalized, geocode: geocoded, language, radius: Math.max(300, toInt(station_search_radius_m, DEFAULT_STATION_SEARCH_RADIUS_M)) });
-      if (resolved?.location) {
-        searchCenter = { lat: resolved.location.lat, lng: resolved.location.lng };
-        stationInfo = resolved;
-      } else {
-        throw new Error(`Station resolution returned no location for area "${normalized}"`);
+  await budget.phase('areas', async () => {
+    for (const areaText of areaList) {
+      let normalized = areaText;
+      let normInfo = null;
+      if (useClaudeAreaNormalization) {
+        const norm = await normalizeAreaWithLLM(areaText, { language, region: DEFAULT_COUNTRY_REGION, claudeModel, geminiModel: DEFAULT_GEMINI_MODEL });
+        normalized = norm.normalized;
+        normInfo = { provider: norm._provider, model: norm._model, confidence: norm.confidence, reason: norm.reason, alternatives: norm.alternatives };
       }
+      const geocoded = await geocodeArea(normalized, { language });
+      let searchCenter = { lat: geocoded.lat, lng: geocoded.lng };
+      let stationInfo = null;
+      if (preferStationCenter) {
+        const resolved = await resolveStationCenter({ areaText: normalized, geocode: geocoded, language, radius: Math.max(300, toInt(station_search_radius_m, DEFAULT_STATION_SEARCH_RADIUS_M)) });
+        if (resolved?.location) {
+          searchCenter = { lat: resolved.location.lat, lng: resolved.location.lng };
+          stationInfo = resolved;
+        } else {
+          throw new Error(`Station resolution returned no location for area "${normalized}"`);
+        }
+      }
+      perAreaMeta.push({ input: areaText, normalized, geocoded, stationInfo, info: normInfo });
+      searchCenters.push({ center: searchCenter, areaText: normalized });
     }
-    perAreaMeta.push({ input: areaText, normalized, geocoded, stationInfo, info: normInfo });
-    searchCenters.push({ center: searchCenter, areaText: normalized });
-  }
+  });
 
   const desired = Math.max(3, Math.min(10, toInt(maxResults, DEFAULT_MAX_RESULTS)));
   const priceLevel = priceLevelFromBudgetYen(budget_yen_min, budget_yen_max);
   const genreList = parseGenres(genre, genres);
   const finalGenreList = genreList.length ? genreList : (genre ? [genre] : ['居酒屋']);
 
-  // Aggregate nearby results across all centers and genres
-  const candidatesRaw = [];
-  for (const sc of searchCenters) {
-    for (const gLabel of finalGenreList) {
-      const { type, keyword } = mapGenreToTypeAndKeyword(gLabel);
-      const part = await nearbySearch({
-        lat: sc.center.lat,
-        lng: sc.center.lng,
-        radius: Math.max(300, toInt(radius_m, DEFAULT_RADIUS_M)),
-        type,
-        keyword,
-        language,
-        price_level: priceLevel,
-        maxPages: 1,
-      });
-      for (const r of part) {
-        r._source_area = sc.areaText;
-        r._matched_genres = [gLabel];
-      }
-      candidatesRaw.push(...part);
+  // Aggregate nearby results across all centers and genres (searches in parallel, merged in order)
+  const combos = searchCenters.flatMap((sc) => finalGenreList.map((gLabel) => ({ sc, gLabel })));
+  const parts = await budget.phase('nearby', () => mapBounded(combos, COMBO_CONCURRENCY, async ({ sc, gLabel }) => {
+    const { type, keyword } = mapGenreToTypeAndKeyword(gLabel);
+    const part = await nearbySearch({
+      lat: sc.center.lat,
+      lng: sc.center.lng,
+      radius: Math.max(300, toInt(radius_m, DEFAULT_RADIUS_M)),
+      type,
+      keyword,
+      language,
+      price_level: priceLevel,
+      maxPages: 1,
+    });
+    for (const r of part) {
+      r._source_area = sc.areaText;
+      r._matched_genres = [gLabel];
     }
-  }
+    return part;
+  }, { shouldStop: budget.exhausted }));
+  const candidatesRaw = parts.flat();
 
   // Deduplicate by place_id and keep OPERATIONAL
   const uniqMap = new Map();
@@ -1197,11 +1447,8 @@ async function suggestPlaces(input) {
   const poolSize = Math.min(uniqList.length, Math.max(desired * CANDIDATE_FETCH_MULTIPLIER, 20));
   const pool = uniqList.slice(0, poolSize);
 
-  const detailed = [];
-  for (const r of pool) {
-    const d = await placeDetails(r.place_id, { language });
-    detailed.push(d);
-  }
+  const isGood = (d) => (!openAtStrict || isOpenAtTime(d.opening_hours?.periods, dow, minutesOfDay) === true) && (d.rating ?? 0) >= GOOD_RATING;
+  const detailed = await budget.phase('details', () => fetchDetails(pool, { language, budget, isGood, enough: desired * EARLY_STOP_FACTOR }));
 
   // Compute open-at-time flag
   const enriched = detailed.map((d) => {
@@ -1251,13 +1498,13 @@ async function suggestPlaces(input) {
   let llmUsed = null;
   let llmModel = null;
   if (useClaudeResultOptimization && picks.length > 0) {
-    const opt = await optimizeResultsWithLLM({
+    const opt = await budget.phase('optimize', () => optimizeResultsWithLLM({
       query: { dateTime, areas: perAreaMeta.map(a => a.geocoded.formatted), genres: (finalGenreList || []), language },
       candidates: picks,
       claudeModel,
       geminiModel: DEFAULT_GEMINI_MODEL,
       maxReturn: desired,
-    });
+    }));
     if (opt?.recommendations?.length) {
       picks = opt.recommendations;
       llmUsed = opt._provider;
@@ -1280,6 +1527,7 @@ async function suggestPlaces(input) {
       radius_m: station_search_radius_m,
     })) : undefined,
     results: picks,
+    timing: budget.timing(),
   };
 }
 
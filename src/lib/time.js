@@ -0,0 +1,76 @@
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import timezone from 'dayjs/plugin/timezone.js';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// All user-facing dates are Japan time regardless of the server's TZ (e.g. UTC on Render)
+export const TZ = 'Asia/Tokyo';
+const WEEKDAYS_JA = ['日', '月', '火', '水', '木', '金', '土'];
+
+export function nowJst() {
+  return dayjs().tz(TZ);
+}
+
+// Epoch ms -> "10/5(土) 21:00"
+export function formatJst(ts, { withTime = true } = {}) {
+  const d = dayjs(Number(ts)).tz(TZ);
+  const base = `${d.format('M/D')}(${WEEKDAYS_JA[d.day()]})`;
+  return withTime ? `${base} ${d.format('HH:mm')}` : base;
+}
+
+// "YYYY-MM-DD" (a calendar date, no time) -> "10/5(土)"
+export function formatDateJa(date) {
+  const d = dayjs.tz(date, TZ);
+  return `${d.format('M/D')}(${WEEKDAYS_JA[d.day()]})`;
+}
+
+// Parse a deadline typed in chat ("10/5 21:00", "2026/10/5 21時", "明日 18:00", "10/5") as Japan time.
+// Without a year the next occurrence is used; without a time the end of that day (23:59).
+// Returns epoch ms, or null when the text is not a date.
+export function parseJstDateTime(text, now = nowJst()) {
+  const s = (text || '')
+    .trim()
+    .replace(/[０-９：／]/g, (c) => String.fromCharCode(c.charCodeAt(0) - 0xfee0))
+    .replace(/\s+/g, ' ');
+  let day = null;
+  let rest = s;
+  const rel = s.match(/^(今日|きょう|明日|あした|明後日|あさって)\s*/);
+  const abs = s.match(/^(?:(\d{4})[/-])?(\d{1,2})[/-](\d{1,2})(?:\([^)]*\)|（[^）]*）)?\s*/);
+  if (rel) {
+    const offset = { 今日: 0, きょう: 0, 明日: 1, あした: 1, 明後日: 2, あさって: 2 }[rel[1]];
+    day = now.startOf('day').add(offset, 'day');
+    rest = s.slice(rel[0].length);
+  } else if (abs) {
+    const [, y, mo, d] = abs;
+    day = dayjs.tz(`${y || now.year()}-${mo.padStart(2, '0')}-${d.padStart(2, '0')}`, TZ);
+    if (!day.isValid() || day.month() + 1 !== Number(mo)) return null;
+    if (!y && day.endOf('day').isBefore(now)) day = day.add(1, 'year');
+    rest = s.slice(abs[0].length);
+  } else {
+    return null;
+  }
+  if (!rest) return day.hour(23).minute(59).valueOf();
+  const t = rest.match(/^(\d{1,2})(?::(\d{2})|時(?:(\d{1,2})分?|半)?)$/);
+  if (!t) return null;
+  const hour = Number(t[1]);
+  const minute = t[2] != null ? Number(t[2]) : t[3] != null ? Number(t[3]) : /半$/.test(rest) ? 30 : 0;
+  if (hour > 23 || minute > 59) return null;
+  return day.hour(hour).minute(minute).valueOf();
+}
+
+const DEFAULT_SLOT_HOURS = 2; // length assumed when only a start time was chosen
+
+// Time span of a candidate/finalized slot in Japan time as { start, end } dayjs values.
+// Without a start time the whole day is covered; an end at or before the start means it runs past midnight.
+export function slotRange(date, startTime = null, endTime = null) {
+  if (!startTime) {
+    const day = dayjs.tz(date, TZ);
+    return { start: day, end: day.add(1, 'day'), allDay: true };
+  }
+  const start = dayjs.tz(`${date} ${startTime}`, TZ);
+  let end = endTime ? dayjs.tz(`${date} ${endTime}`, TZ) : start.add(DEFAULT_SLOT_HOURS, 'hour');
+  if (!end.isAfter(start)) end = end.add(1, 'day'); // e.g. 22:00〜01:00
+  return { start, end, allDay: false };
+}
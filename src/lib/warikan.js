@@ -0,0 +1,143 @@
+// Bill splitting (割り勘) for a finalized event: "@ボット 会計 42000円 田中は先輩 佐藤は飲まない 500円単位".
+// Shares are weighted (傾斜) by member tags or explicit multipliers, fixed amounts are taken out first,
+// and each share is rounded to the group's unit (the organizer keeps or covers the difference).
+export const ROUNDING_UNITS = [1, 10, 100, 500, 1000];
+export const DEFAULT_SETTLEMENT_WEIGHTS = { senior: 1.5, junior: 0.7, late: 0.5, nonDrinker: 0.7 };
+const MAX_MEMBERS = 100;
+
+// Words that tag a member -> weight key and the label shown in the breakdown
+const TAGS = [
+  { key: 'senior', label: '先輩', words: ['先輩', '上司', '部長', '課長', '社長', 'OB', 'OG'] },
+  { key: 'junior', label: '後輩', words: ['後輩', '新人', '新入生', '学生', '1年目'] },
+  { key: 'late', label: '途中参加', words: ['遅れて参加', '途中参加', '途中から', '途中退出', '遅刻', '遅れ', '早退'] },
+  { key: 'nonDrinker', label: '飲まない', words: ['飲まない', 'ノンアル', 'ソフドリ', '下戸', 'お酒なし'] },
+];
+const HONORIFIC = /(?:さん|くん|君|ちゃん|様)$/;
+// "田中は先輩", "佐藤:飲まない", "鈴木2倍", "山本×0.5", "高橋3000円"
+const ADJUSTMENT = new RegExp(
+  `^(.+?)(?:は|が|[:：=])?(${TAGS.flatMap((t) => t.words).join('|')}|(?:[x×*]\\s*)?(\\d+(?:\\.\\d+)?)倍?|(\\d[\\d,]*)円)$`,
+  'i'
+);
+
+function toHalfWidth(s) {
+  return (s || '').replace(/[０-９．，]/g, (c) => String.fromCharCode(c.charCodeAt(0) - 0xfee0));
+}
+
+// "42000円", "42,000", "4.2万円" -> 42000
+function parseYen(text) {
+  const m = toHalfWidth(text).match(/^[¥￥]?(\d[\d,]*(?:\.\d+)?)(万)?円?$/);
+  if (!m) return null;
+  const n = Number(m[1].replace(/,/g, '')) * (m[2] ? 10000 : 1);
+  return Number.isFinite(n) && n > 0 ? Math.round(n) : null;
+}
+
+// One per-member instruction -> { name, tag } | { name, weight } | { name, amount }, or null
+function parseAdjustment(token) {
+  const m = toHalfWidth(token).match(ADJUSTMENT);
+  if (!m) return null;
+  const name = m[1].trim().replace(HONORIFIC, '');
+  if (!name) return null;
+  if (m[4]) return { name, amount: Number(m[4].replace(/,/g, '')) };
+  // A zero multiplier would drop the member from the split; "高橋0円" says that explicitly
+  if (m[3]) return /[x×*倍]/i.test(m[2]) && Number(m[3]) > 0 ? { name, weight: Number(m[3]) } : null;
+  const tag = TAGS.find((t) => t.words.some((w) => w.toLowerCase() === m[2].toLowerCase()));
+  return tag ? { name, tag: tag.key } : null;
+}
+
+// Arguments of the 会計 command -> { total, unit, mode, headcount, adjustments } or { error }.
+// unit: rounding unit in yen (null = the group's default); mode: 'up' (collect a little extra) or 'down' (organizer covers).
+export function parseSettlementRequest(arg) {
+  const tokens = toHalfWidth(arg || '').split(/[\s、,]+/).filter(Boolean);
+  let total = null;
+  let unit = null;
+  let mode = 'up';
+  let headcount = null;
+  const adjustments = [];
+  const unknown = [];
+  for (const token of tokens) {
+    const unitMatch = token.match(/^(?:端数)?(\d+)円?単位(?:で)?(?:切り上げ|切り捨て)?$|^端数(\d+)円?$/);
+    const people = token.match(/^(\d+)(?:人|名)$/);
+    if (total == null && parseYen(token) != null) {
+      total = parseYen(token);
+    } else if (unitMatch && ROUNDING_UNITS.includes(Number(unitMatch[1] || unitMatch[2]))) {
+      unit = Number(unitMatch[1] || unitMatch[2]);
+      if (/切り捨て/.test(token)) mode = 'down';
+    } else if (/^(?:端数)?切り捨て$|^幹事(?:が)?負担$/.test(token)) {
+      mode = 'down';
+    } else if (/^(?:端数)?切り上げ$/.test(token)) {
+      mode = 'up';
+    } else if (people) {
+      headcount = Number(people[1]);
+    } else {
+      const adj = parseAdjustment(token);
+      if (adj) adjustments.push(adj);
+      else unknown.push(token);
+    }
+  }
+  if (total == null) return { error: '金額を読み取れませんでした。「@ボット 会計 42000円」のように送ってください。' };
+  if (unknown.length) return { error: `「${unknown.join('」「')}」を読み取れませんでした。「田中は先輩」「佐藤は飲まない」「鈴木2倍」「高橋3000円」のように指定してください。` };
+  return { total, unit, mode, headcount, adjustments };
+}
+
+const sameName = (a, b) => !!a && !!b && a.replace(HONORIFIC, '') === b.replace(HONORIFIC, '');
+
+// The member a typed name refers to: exact match (ignoring さん etc.) first, then a display name starting with it
+export function findMemberByName(members, name) {
+  const bare = (name || '').trim().replace(HONORIFIC, '');
+  if (!bare) return null;
+  return members.find((m) => sameName(m.name, bare)) || members.find((m) => m.name.startsWith(bare)) || null;
+}
+
+// Members to split between: the event's attendees ({ userId, name }) plus anyone named in an adjustment,
+// topped up with guests to reach headcount. Tags and multipliers combine (先輩 and 途中参加 = 1.5 x 0.5).
+export function buildSettlementMembers({ attendees, adjustments = [], headcount = null, weights = DEFAULT_SETTLEMENT_WEIGHTS }) {
+  const members = attendees.map((a) => ({ userId: a.userId || null, name: a.name || '名前未設定', weight: 1, amount: null, tags: [] }));
+  for (const adj of adjustments) {
+    let member = findMemberByName(members, adj.name);
+    if (!member) {
+      member = { userId: null, name: adj.name, weight: 1, amount: null, tags: [] };
+      members.push(member);
+    }
+    if (adj.amount != null) member.amount = adj.amount;
+    if (adj.weight != null) member.weight *= adj.weight;
+    if (adj.tag) {
+      member.weight *= Number(weights[adj.tag] ?? DEFAULT_SETTLEMENT_WEIGHTS[adj.tag]);
+      member.tags.push(TAGS.find((t) => t.key === adj.tag).label);
+    }
+  }
+  for (let i = 1; headcount && members.length < Math.min(headcount, MAX_MEMBERS); i++) {
+    members.push({ userId: null, name: `ゲスト${i}`, weight: 1, amount: null, tags: [] });
+  }
+  return members.slice(0, MAX_MEMBERS);
+}
+
+// Split total between members ({ weight, amount? }); shares are rounded per member to unit.
+// Returns { rows: [{ ...member, share }], collected, diff } where diff = collected - total
+// (positive: extra kept by the organizer, negative: covered by the organizer). Fixed amounts are charged as is.
+export function computeSettlement({ total, members, unit = 100, mode = 'up' }) {
+  const fixed = members.filter((m) => m.amount != null).reduce((sum, m) => sum + m.amount, 0);
+  const weighted = members.filter((m) => m.amount == null);
+  const totalWeight = weighted.reduce((sum, m) => sum + m.weight, 0);
+  const rest = Math.max(0, total - fixed);
+  const round = mode === 'down' ? Math.floor : Math.ceil;
+  const rows = members.map((m) => {
+    if (m.amount != null) return { ...m, share: m.amount };
+    const exact = totalWeight > 0 ? (rest * m.weight) / totalWeight : 0;
+    // Snap float noise (4200 x 0.7 / 4.2 = 700.0000000001) so it does not round up a whole unit
+    return { ...m, share: round(Number((exact / unit).toFixed(6))) * unit };
+  });
+  const collected = rows.reduce((sum, r) => sum + r.share, 0);
+  return { rows, collected, diff: collected - total };
+}
+
+export function formatYen(n) {
+  return `¥${Math.round(n).toLocaleString('ja-JP')}`;
+}
+
+// "先輩・飲まない・×1.05" for the breakdown; empty for a plain equal share
+export function describeShare(row) {
+  const parts = [...row.tags];
+  if (row.amount != null) parts.push('金額指定');
+  else if (Math.abs(row.weight - 1) > 1e-9) parts.push(`×${Math.round(row.weight * 100) / 100}`);
+  return parts.join('・');
+}